@@ -1,43 +1,174 @@
 #!/usr/bin/env node
-import fetch from "node-fetch";
-import { execSync } from "child_process";
-import { readFileSync, existsSync } from "fs";
+import { readFileSync, writeFileSync, existsSync, unlinkSync, rmSync } from "fs";
 import path from "path";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 import semver from "semver";
 import { createRequire } from "module";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  GuardianError,
+  ConfigError,
+  RegistryError,
+  PolicyError,
+  loadConfig,
+  loadWorkspaceConfig,
+  parseMinAge,
+  getExclusion,
+  isExcluded,
+  getExpiredExclusions,
+  getPermanentExclusions,
+  getMinAge,
+  validUpdateTargets,
+  fetchPackageMeta,
+  fetchFullPackageMeta,
+  prefetchPackageMeta,
+  rethrowAdvisoryError,
+  getCacheDir,
+  splitPkgSpec,
+  getMatchingVersions,
+  getUpdateRange,
+  resolveSafeVersion,
+  findYoungPackages,
+  findPinnableVersion,
+  isDirectDependency,
+  findInstallScripts,
+  findVulnerablePackages,
+  checkTree,
+  getSeverityValue,
+  checkVulnerabilities,
+  findTyposquatTarget,
+  analyzeReleaseRisk,
+  compareReleases,
+  getPreviousRelease,
+  readBaseLockfile,
+  diffLockfiles,
+  getIntroducedPackages,
+  verifyPackages,
+  findLicenseViolations,
+  planPackage,
+  planUpdate,
+  getUpdateSkipReason,
+  checkOutdated,
+  createPackageManager,
+  dependencySections,
+  readDeclaredDependencies,
+  getPackageDir,
+  getInstalledVersion,
+  readLockfile,
+  getLockedPackages,
+  writeOverrides,
+  toSarif,
+  collectSbom,
+  toCycloneDx,
+  toSpdx,
+  listWorkspaces,
+  selectWorkspaces,
+  DEFAULT_SHIM_DIR,
+  installShims,
+  uninstallShims,
+  isShimActive,
+  findShimProject,
+  routeShimCommand,
+  getUseDir,
+  prepareUseDir,
+  readUseAllowlist,
+  getApprovedRun,
+  recordApprovedRun,
+  findPackageBin,
+} from "../lib/index.js";
 const require = createRequire(import.meta.url);
 const { version } = require("../package.json");
 
-let config = {
-  minAge: 0,
-  mode: "block",
-  exclude: [],
-  exactInstall: false
+let config;
+// Reported once the output format is known
+let configError = null;
+try {
+  config = loadConfig();
+} catch (err) {
+  configError = err;
+}
+let packageManager = null;
+let format = "text";
+let command = null;
+// One entry per package, printed by --format json and sarif
+const results = [];
+const EXIT = { success: 0, policy: 1, network: 2, config: 3, failure: 4 };
+// Shared by install, update and audit
+const workspaceOptions = {
+  workspace: {
+    alias: "w",
+    type: "string",
+    array: true,
+    // One name per flag, as in npm: the words after it are packages
+    nargs: 1,
+    requiresArg: true,
+    describe: "Run in the given workspace (name or path). Can be repeated",
+  },
+  workspaces: {
+    type: "boolean",
+    describe: "Run in every workspace listed in the root package.json",
+    default: false,
+  },
 };
 
-const configFiles = ["guardian.config.json", ".guardianrc.json"];
-for (const file of configFiles) {
-  const fullPath = path.join(process.cwd(), file);
-  if (existsSync(fullPath)) {
-    try {
-      const userConfig = JSON.parse(readFileSync(fullPath, "utf8"));
-      if (userConfig.minAge !== undefined) userConfig.minAge = parseMinAge(userConfig.minAge);
-      config = { ...config, ...userConfig };
-      console.log(`⚙️  Configuration loaded from ${file}`);
-      break;
-    } catch (err) {
-      console.error(`❌ Error reading ${file}:`, err.message);
-      process.exit(1);
-    }
-  }
-}
+// Commands whose own --format choices replace the global ones. yargs merges both lists,
+// so the others are refused here.
+const commandFormats = {
+  sbom: ["cyclonedx", "spdx"],
+  diff: ["markdown", "json", "sarif"],
+};
+
+// Shared by shim install and uninstall
+const shimOptions = {
+  dir: {
+    type: "string",
+    describe: "Directory the shims are written to",
+    default: DEFAULT_SHIM_DIR,
+  },
+};
 
 const argv = yargs(hideBin(process.argv))
   .scriptName("guardian")
   .usage("Use: $0 <command> [options]")
   .version(version)
+  .option("format", {
+    type: "string",
+    choices: ["text", "json", "sarif"],
+    default: "text",
+    describe: "Output format. json and sarif print a report on stdout and progress messages on stderr",
+  })
+  .option("json", {
+    type: "boolean",
+    describe: "Shorthand for --format json",
+    default: false,
+  })
+  .option("offline", {
+    type: "boolean",
+    describe: "Resolve from cached registry metadata only, without network requests",
+  })
+  .middleware((argv) => {
+    format = argv.json ? "json" : argv.format;
+    command = argv._[0] || null;
+    // The shim loads the project's config itself, and must not get in the way of what it passes through
+    if (command === "shim" && argv._[1] === "exec") return;
+    if (commandFormats[command] && !commandFormats[command].includes(format)) {
+      const allowed = commandFormats[command];
+      // Not a report format of this command, so none is printed
+      format = "text";
+      fail(EXIT.config, `Invalid format for guardian ${command}. Valid options are: ${allowed.join(", ")}`);
+    }
+    if (configError) failWith(configError);
+    if (argv.offline !== undefined) config.offline = argv.offline;
+    if (config.configFile) info(`⚙️  Configuration loaded from ${config.configFile}`);
+    for (const { match, reason, expires } of getExpiredExclusions(config)) {
+      console.warn(`⚠️  The exclusion of ${match} expired on ${expires} and no longer applies (${reason})`);
+    }
+    for (const match of getPermanentExclusions(config)) {
+      console.warn(`⚠️  ${match} is excluded without a reason or an expiry date. Write it as { "match": "${match}", "reason": "...", "expires": "YYYY-MM-DD" }`);
+    }
+  })
   .command(
     "install [packages..]",
     "Install packages with minimum release age restriction",
@@ -62,8 +193,14 @@ const argv = yargs(hideBin(process.argv))
           type: "boolean",
           describe: "Install exact version (--save-exact)",
           default: false,
-        }),
-    (argv) => Install(argv))
+        })
+        .option("dry-run", {
+          type: "boolean",
+          describe: "Show what would be installed without changing anything",
+          default: false,
+        })
+        .options(workspaceOptions),
+    (argv) => runCommand(Install, argv))
   .command(
     "audit [packages..]",
     "Audit packages for vulnerabilities",
@@ -77,33 +214,95 @@ const argv = yargs(hideBin(process.argv))
           alias: "m",
           type: "string",
           describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
-        }),
-    (argv) => runAudit(argv)
+        })
+        .options(workspaceOptions),
+    (argv) => runCommand(runAudit, argv)
 )
-  .command("init", "Create a default guardian.config.json file", () => {
-    const defaultConfig = {
-      minAge: "1d",
-      exclude: [],
-      exactInstall: true,
-    };
-    const filePath = path.join(process.cwd(), "guardian.config.json");
-    if (existsSync(filePath)) {
-      console.error("❌ guardian.config.json already exists in this directory.");
-      process.exit(1);
-    }
-    try {
-      require("fs").writeFileSync(filePath, JSON.stringify(defaultConfig, null, 2));
-      console.log("✅ guardian.config.json created with default settings.");
-    } catch (err) {
-      console.error("❌ Error creating guardian.config.json:", err.message);
-      process.exit(1);
-    }
-  })
   .command(
-    "update",
+    "check",
+    "Verify package-lock.json against the minimum release age without installing anything",
+    (y) =>
+      y
+        .option("min-age", {
+          alias: "m",
+          type: "string",
+          describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
+        }),
+    (argv) => runCommand(runCheck, argv)
+  )
+  .command(
+    "outdated",
+    "List dependencies with newer versions, including the ones held back by the minimum age",
+    (y) =>
+      y
+        .option("min-age", {
+          alias: "m",
+          type: "string",
+          describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
+        })
+        .options(workspaceOptions),
+    (argv) => runCommand(runOutdated, argv)
+  )
+  .command(
+    "sbom",
+    "Generate a CycloneDX or SPDX SBOM from package-lock.json, annotated with Guardian's policy results",
+    (y) =>
+      y
+        .option("format", {
+          type: "string",
+          choices: ["cyclonedx", "spdx"],
+          default: "cyclonedx",
+          describe: "SBOM format",
+        })
+        .option("output", {
+          alias: "o",
+          type: "string",
+          describe: "Write the SBOM to this file instead of stdout",
+        })
+        .option("min-age", {
+          alias: "m",
+          type: "string",
+          describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
+        }),
+    (argv) => runCommand(runSbom, argv)
+  )
+  .command(
+    "diff <base>",
+    "Review the dependency changes since a git revision or another package-lock.json",
+    (y) =>
+      y
+        .positional("base", {
+          describe: "Git revision (main, origin/main, HEAD~1) or path of the package-lock.json to compare with",
+          type: "string",
+        })
+        .option("format", {
+          type: "string",
+          choices: ["markdown", "json", "sarif"],
+          default: "markdown",
+          describe: "Output format. The summary or report is printed on stdout and progress messages on stderr",
+        })
+        .option("min-age", {
+          alias: "m",
+          type: "string",
+          describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
+        }),
+    (argv) => runCommand(runDiff, argv)
+  )
+  .command("init", "Create a default guardian.config.json file", () => {}, (argv) => runCommand(runInit, argv))
+  .command(
+    "update [packages..]",
     "Update installed packages (or all with --all) to the latest safe version",
     (y) =>
       y
+        .positional("packages", {
+          describe: "Dependencies to update, e.g.: react lodash. All of them when omitted",
+          type: "string",
+        })
+        .option("target", {
+          type: "string",
+          choices: validUpdateTargets,
+          describe: "Allow updates beyond the range declared in package.json: patch, minor, major or latest",
+        })
         .option("all", {
           type: "boolean",
           describe: "Update all dependencies from package.json",
@@ -118,503 +317,1457 @@ const argv = yargs(hideBin(process.argv))
           type: "boolean",
           describe: "Install exact version (--save-exact)",
           default: false,
-        }),
-    (argv) => Update(argv)
+        })
+        .option("dry-run", {
+          type: "boolean",
+          describe: "Show what would be updated without changing anything",
+          default: false,
+        })
+        .options(workspaceOptions),
+    (argv) => runCommand(Update, argv)
 )
-  .command("use [package]", "allow developers to execute Node.js packages directly from the npm registry without needing to globally install them", (y) =>
+  .command("use <package> [args..]", "Run a package's executable, like npx, once it and its dependency tree pass the policies", (y) =>
     y
-      .option("package", {
-
+      .positional("package", {
+        describe: "Package to run, e.g.: cowsay or prettier@3",
         type: "string",
-        describe: "",
-
+      })
+      .positional("args", {
+        describe: "Arguments for the executable. Put them after -- when they start with a dash",
+        type: "string",
+      })
+      .option("bin", {
+        type: "string",
+        describe: "Executable to run, for packages with several",
+      })
+      .option("refresh", {
+        type: "boolean",
+        describe: "Resolve and check the package again instead of running the version approved before",
+        default: false,
       })
       .option("min-age", {
         alias: "m",
         type: "string",
         describe: "Minimum version age (e.g. 30, 1d, 1w, 1m, 24h, 24hs)",
       }),
-    (argv) => runNPX(argv)
+    // Arguments after "--" are passed on untouched, options included
+    (argv) => runCommand(runNPX, { ...argv, args: [...(argv.args || []), ...(argv["--"] || [])].map(String) })
+  )
+  .command("shim", "Route npm install, update and npx through Guardian in projects with a Guardian config", (y) =>
+    y
+      .command("install", "Write the npm and npx shims", (y) => y.options(shimOptions), (argv) => runCommand(runShimInstall, argv))
+      .command("uninstall", "Remove the npm and npx shims", (y) => y.options(shimOptions), (argv) => runCommand(runShimUninstall, argv))
+      // What the shims run: `guardian shim exec npm -- <npm arguments>`
+      .command("exec <tool>", false, (y) => y.positional("tool", { type: "string", choices: ["npm", "npx"] }), (argv) => runCommand(runShimExec, argv))
+      .demandCommand(1, "You must specify install or uninstall")
   )
   .demandCommand(1, "You must specify a command")
+  .parserConfiguration({ "populate--": true })
+  .fail((message, err, y) => {
+    // yargs reports argument parsing errors such as a missing option value as a YError
+    if (err && err.name !== "YError") throw err;
+    y.showHelp();
+    fail(EXIT.config, message);
+  })
   .help()
   .argv;
 
-function Install(argv) {
-  if (argv["min-age"]) {
-    try {
-      config.minAge = parseMinAge(argv["min-age"]);
+async function Install(argv) {
+  applyMinAge(argv);
+  if (!argv.packages || argv.packages.length === 0) {
+    fail(EXIT.config, "You must specify at least one package to install");
+  }
+  // Each workspace is its own unit: a failure rolls back that workspace only
+  const errors = [];
+  await forEachWorkspace(getSelectedWorkspaces(argv), argv, async () => {
+    const error = argv["dry-run"] ? await runPlan(argv.packages) : await run(argv.packages, argv.dev, argv.exact);
+    if (error) errors.push(error);
+  });
+  if (errors.length > 0) exit(exitCodeFor(errors[0]), errors[0]);
+}
+
+function runInit() {
+  const defaultConfig = {
+    $schema: "https://unpkg.com/@unsetsoft/guardian.js/guardian.schema.json",
+    minAge: "1d",
+    mode: "block",
+    exactInstall: true,
+    rules: [],
+    exclude: [],
+  };
+  const filePath = path.join(process.cwd(), "guardian.config.json");
+  if (existsSync(filePath)) {
+    fail(EXIT.config, "guardian.config.json already exists in this directory.");
+  }
+  try {
+    writeFileSync(filePath, JSON.stringify(defaultConfig, null, 2));
+    info("✅ guardian.config.json created with default settings.");
+    info('👉 To exempt a package, add { "match": "name", "reason": "why", "expires": "YYYY-MM-DD" } to "exclude".');
+  } catch (err) {
+    fail(EXIT.failure, `Error creating guardian.config.json: ${err.message}`);
+  }
+}
+
+function applyMinAge(argv) {
+  if (!argv["min-age"]) return;
+  try {
+    config.minAge = parseMinAge(argv["min-age"]);
+  } catch (err) {
+    failWith(err);
+  }
+}
 
+// The workspaces picked with --workspace or --workspaces, or null to work on the root
+function getSelectedWorkspaces(argv) {
+  const names = argv.workspace || [];
+  if (!argv.workspaces && names.length === 0) return null;
+  let workspaces;
+  try {
+    workspaces = argv.workspaces ? listWorkspaces(config.cwd) : selectWorkspaces(config.cwd, names);
+  } catch (err) {
+    failWith(err);
+  }
+  if (workspaces.length === 0) fail(EXIT.config, "No workspaces found in package.json");
+  return workspaces;
+}
+
+// Run `step` once per workspace with that workspace's config, or once with the root
+// config when `workspaces` is null. --min-age still wins over workspace config files.
+async function forEachWorkspace(workspaces, argv, step) {
+  if (!workspaces) return step(null);
+  const rootConfig = config;
+  const overrides = argv["min-age"] ? { minAge: argv["min-age"] } : {};
+  for (const workspace of workspaces) {
+    try {
+      config = loadWorkspaceConfig(rootConfig, workspace, overrides);
     } catch (err) {
-      console.error(err.message);
-      process.exit(1);
+      failWith(err);
     }
+    packageManager = null;
+    const source = config.configFile !== rootConfig.configFile ? `, configuration from ${config.configFile}` : "";
+    info(`📂 Workspace ${workspace.name} (${workspace.location})${source}`);
+    await step(workspace);
   }
-  if (!argv.packages || argv.packages.length === 0) {
-    console.error("❌ You must specify at least one package to install");
-    process.exit(1);
-  }
-  run(argv.packages, argv.dev, argv.exact);
-}
-
-function parseMinAge(input) {
-  if (typeof input === "number") return input;
-  if (/^\d+$/.test(input)) return parseInt(input, 10);
-  const match = input.match(/^(\d+)(d|w|m|h|hs)$/i);
-  if (!match) throw new Error(`Invalid format for minAge: ${input}`);
-  const value = parseInt(match[1], 10);
-  const unit = match[2].toLowerCase();
-  switch (unit) {
-    case "d": return value;
-    case "w": return value * 7;
-    case "m": return value * 30;
-    case "h": return value / 24;
-    case "hs": return value / 24;
-    default: throw new Error(`Unsupported unit for minAge: ${unit}`);
-  }
-}
-
-function splitPkgSpec(pkgSpec) {
-  const atIndex = pkgSpec.lastIndexOf("@");
-  if (pkgSpec.startsWith("@")) {
-    if (atIndex > 0) return [pkgSpec.slice(0, atIndex), pkgSpec.slice(atIndex + 1)];
-    return [pkgSpec, null];
-  } else {
-    if (atIndex > 0) return [pkgSpec.slice(0, atIndex), pkgSpec.slice(atIndex + 1)];
-    return [pkgSpec, null];
+  config = rootConfig;
+  packageManager = null;
+}
+
+// Progress messages. They go to stderr when stdout carries a json or sarif report.
+function info(message) {
+  if (format === "text") console.log(message);
+  else console.error(message);
+}
+
+// Errors from the library carry no emoji. Vulnerability violations also list their advisories.
+function reportError(err) {
+  console.error(`❌ ${err.message}`);
+  for (const violation of err.violations || []) {
+    if (violation.advisories) reportAdvisories(violation.advisories);
   }
 }
 
-async function checkAndUpdate(pkg, asDev = false, exact = false) {
-  if (config.exclude.includes(pkg)) {
-    console.log(`⚠️  ${pkg} is excluded from restrictions. Updating without validation.`);
-    execSync(`npm install ${pkg}@latest --silent --no-audit ${asDev ? "--save-dev" : ""}${exact || config.exactInstall ? " --save-exact" : ""}`, { stdio: "inherit" });
-    return;
+function exitCodeFor(err) {
+  if (err instanceof PolicyError) return EXIT.policy;
+  if (err instanceof RegistryError) return EXIT.network;
+  if (err instanceof ConfigError) return EXIT.config;
+  return EXIT.failure;
+}
+
+// Exit with `code`, printing the report first in json and sarif formats
+function exit(code, error = null) {
+  if (format === "json" || format === "sarif") {
+    const report = {
+      command,
+      exitCode: code,
+      error: error && { code: error.code || null, message: error.message },
+      results,
+    };
+    const cwd = config ? config.cwd : process.cwd();
+    console.log(JSON.stringify(format === "sarif" ? toSarif(report, { version, cwd }) : report, null, 2));
   }
+  process.exit(code);
+}
+
+function fail(code, message) {
+  console.error(`❌ ${message}`);
+  exit(code, { code: code === EXIT.config ? "ECONFIG" : null, message });
+}
 
-  const res = await fetch(`https://registry.npmjs.org/${pkg}`);
-  if (!res.ok) {
-    console.error(`❌ Failed to fetch metadata for ${pkg}`);
-    process.exit(1);
+function failWith(err) {
+  reportError(err);
+  exit(exitCodeFor(err), err);
+}
+
+// Handlers exit early on failure, so reaching the end means success
+async function runCommand(handler, argv) {
+  try {
+    await handler(argv);
+  } catch (err) {
+    failWith(err);
   }
-  const meta = await res.json();
-  const versions = Object.keys(meta.versions);
-  const time = meta.time;
+  exit(EXIT.success);
+}
 
-  // Filtrar versiones que cumplan con el requisito de antigüedad
-  const candidates = versions.filter((v) => {
-    const publishedDate = time[v];
-    if (!publishedDate) return false;
-    const published = new Date(publishedDate).getTime();
-    const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
-    return ageDays >= config.minAge;
-  });
+function newResult(requested) {
+  const result = {
+    name: splitPkgSpec(requested)[0],
+    requested,
+    workspace: config.workspace ? { name: config.workspace.name, location: config.workspace.location } : null,
+    version: null,
+    published: null,
+    ageDays: null,
+    decision: "allowed",
+    action: "none",
+    vulnerabilities: [],
+    findings: [],
+  };
+  results.push(result);
+  return result;
+}
+
+// `level` is "error" for what blocked the package, "warning" for what was let
+// through and "note" for information only
+function addFinding(result, policy, level, message) {
+  result.findings.push({ policy, level, message });
+  if (level === "error") result.decision = "blocked";
+  else if (level === "warning" && result.decision === "allowed") result.decision = "warned";
+}
+
+function addVulnerabilities(result, name, version, advisories) {
+  for (const { title, severity, url } of advisories) {
+    result.vulnerabilities.push({ name, version, title, severity, url });
+  }
+}
+
+// Record why a package failed, unless the check that refused it already did
+function markFailed(result, err) {
+  for (const violation of err.violations || []) {
+    if (violation.advisories) addVulnerabilities(result, violation.name, violation.version, violation.advisories);
+  }
+  if (!result.findings.some((finding) => finding.level === "error")) {
+    addFinding(result, err.policy || "error", "error", err.message);
+  }
+  if (!(err instanceof PolicyError)) result.decision = "error";
+}
+
+function getPackageManager() {
+  if (!packageManager) {
+    // Keep stdout for the report in json and sarif formats
+    const stdio = format === "text" ? "inherit" : ["inherit", 2, "inherit"];
+    packageManager = createPackageManager(config, { stdio });
+  }
+  return packageManager;
+}
+
+function ensurePackageManager() {
+  try {
+    getPackageManager();
+  } catch (err) {
+    failWith(err);
+  }
+}
+
+// `prefix` is "" for an exact version, "~" or "^" to keep a declared range's prefix,
+// or undefined to let the package manager use its default
+function saveOptions(saveType, exact = false, declaredRange = null) {
+  if (exact || config.exactInstall) return { saveType, prefix: "" };
+  if (!declaredRange) return { saveType };
+  const range = declaredRange.trim();
+  if (range.startsWith("~")) return { saveType, prefix: "~" };
+  if (semver.valid(range)) return { saveType, prefix: "" };
+  return { saveType, prefix: "^" };
+}
 
-  if (candidates.length === 0) {
-    console.error(`❌ No versions of ${pkg} are at least ${config.minAge} days old`);
+// Resolve the version to install and report what was skipped to get there
+async function resolveVersion(pkgSpec, result) {
+  const resolved = await resolveSafeVersion(pkgSpec, config);
+  const { name, newest, affecting } = resolved;
+  if (resolved.excluded) {
+    result.decision = "excluded";
+    return resolved;
+  }
+  result.version = resolved.version;
+  result.published = resolved.published;
+  result.ageDays = resolved.ageDays;
+  if (resolved.securityFix) {
+    const { current, fixes } = resolved.securityFix;
+    console.warn(`🚑 Cooldown bypass: ${name}@${resolved.version} (published ${resolved.ageDays} days ago, minimum ${getMinAge(name, config)}) fixes advisories of the installed ${current}:`);
+    reportAdvisories(fixes);
+    addFinding(result, "securityFix", "warning", `Minimum age bypassed: fixes ${fixes.map((advisory) => advisory.severity).join(", ")} advisories of ${current}`);
+  }
+  if (resolved.tag && resolved.tag.version !== newest && !resolved.skippedDeprecated.includes(resolved.tag.version)) {
+    info(`⏳ ${name}@${resolved.tag.name} points to ${resolved.tag.version}, which is too young. Using ${newest} from the same line.`);
+    addFinding(result, "minAge", "note", `${resolved.tag.name} points to ${resolved.tag.version}, younger than the minimum age`);
+  }
+  if (resolved.skippedDeprecated.length > 0) {
+    console.warn(`⚠️ Skipping deprecated versions of ${name}: ${resolved.skippedDeprecated.join(", ")}`);
+    addFinding(result, "deprecated", "note", `Deprecated versions skipped: ${resolved.skippedDeprecated.join(", ")}`);
+  }
+  if (resolved.deprecated) {
+    console.warn(`⚠️ Every eligible version of ${name} is deprecated. ${name}@${resolved.version}: ${resolved.deprecated}`);
+    addFinding(result, "deprecated", "warning", `Deprecated: ${resolved.deprecated}`);
+  }
+  if (resolved.advisoryError) {
+    console.warn(`⚠️ Could not check advisories for ${name}: ${resolved.advisoryError}`);
+    addFinding(result, "vulnerabilities", "note", `Could not check advisories: ${resolved.advisoryError}`);
+  }
+  if (resolved.vulnerable) {
+    console.error(`🚨 Every eligible version of ${name} has known vulnerabilities. ${name}@${newest}:`);
+    reportAdvisories(affecting);
+    addVulnerabilities(result, name, newest, affecting);
+    addFinding(result, "vulnerabilities", "warning", "Every eligible version has known vulnerabilities");
+    if (config.mode === "warn") console.warn("⚠️ Installation will proceed due to 'warn' mode.");
+  } else if (resolved.version !== newest) {
+    console.warn(`🛡️  Skipping ${name}@${newest} due to known vulnerabilities:`);
+    reportAdvisories(affecting);
+    addFinding(result, "vulnerabilities", "note", `${newest} skipped due to known vulnerabilities`);
+  }
+  return resolved;
+}
+
+async function checkAndUpdate(dependency, target, exact, result) {
+  const { name: pkg, range: declaredRange, section } = dependency;
+  const save = saveOptions(dependencySections[section], exact, declaredRange);
+  const pm = getPackageManager();
+  const meta = await fetchPackageMeta(pkg, config);
+  const installedVersion = getInstalledVersion(pkg, config.cwd, getPackageDir(config));
+  const updateRange = getUpdateRange(meta, declaredRange, installedVersion, target);
+
+  if (isExcluded(pkg, config)) {
+    const newest = semver.rsort(getMatchingVersions(meta, updateRange))[0];
+    result.decision = "excluded";
+    if (!newest) {
+      console.error(`❌ No version of ${pkg} satisfies "${updateRange}"`);
+      addFinding(result, "minAge", "note", `No version satisfies "${updateRange}"`);
+      return;
+    }
+    info(`⚠️  ${pkg} is excluded from restrictions${describeExclusion(pkg)}. Updating without validation.`);
+    result.version = newest;
+    pm.run(pm.install(`${pkg}@${newest}`, save));
+    result.action = "updated";
     return;
   }
 
-  // Resolver la última versión válida
-  const latestValidVersion = semver.maxSatisfying(candidates, "*");
-  if (!latestValidVersion) {
-    console.error(`❌ Could not resolve a valid version for ${pkg}`);
+  let resolved;
+  try {
+    resolved = await resolveVersion(`${pkg}@${updateRange}`, result);
+  } catch (err) {
+    if (!(err instanceof PolicyError) || err.policy !== "minAge") throw err;
+    console.error(`❌ ${err.message}`);
+    addFinding(result, "minAge", "note", err.message);
     return;
   }
+  const { version: latestValidVersion, ageDays } = resolved;
 
-  const installedVersion = getInstalledVersion(pkg);
   if (installedVersion && semver.eq(installedVersion, latestValidVersion)) {
-    console.log(`✅ ${pkg}@${latestValidVersion} is already installed and meets the minimum age requirement.`);
+    info(`✅ ${pkg}@${latestValidVersion} is already installed and meets the minimum age requirement.`);
     return;
   }
 
-  const publishedDate = time[latestValidVersion];
-  const published = new Date(publishedDate).getTime();
-  const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
+  info(`⬆️  Updating ${pkg} to ${latestValidVersion} in ${section} (published ${ageDays} days ago)`);
+  await checkReleaseRisk(pkg, latestValidVersion, result);
+  const approvedScripts = await guardTransitiveTree(`${pkg}@${latestValidVersion}`, save, result);
+  installWithScriptsPolicy(`${pkg}@${latestValidVersion}`, save, approvedScripts);
+  result.action = "updated";
 
-  console.log(`⬆️  Updating ${pkg} to ${latestValidVersion} (published ${ageDays} days ago)`);
-  execSync(`npm install ${pkg}@${latestValidVersion} --silent --no-audit ${asDev ? "--save-dev" : ""}${exact || config.exactInstall ? " --save-exact" : ""}`, { stdio: "inherit" });
+  if (await auditInstalled(pkg, latestValidVersion, result)) {
+    throw new PolicyError(`For security, ${pkg} was not updated to ${latestValidVersion}. Reason: This package has high or critical vulnerabilities.`, "vulnerabilities");
+  }
+}
 
-  await checkVulnerabilities(pkg);
+// Snapshot package.json and the lockfile so a failed or blocked install can be undone
+function snapshotManifests() {
+  const files = {};
+  const lockfile = getPackageManager().lockfile;
+  const lockfiles = lockfile === "bun.lock" ? ["bun.lock", "bun.lockb"] : [lockfile];
+  const paths = ["package.json", ...lockfiles].map((file) => path.join(config.cwd, file));
+  // The lockfile and overrides live at the root, the dependency in the workspace
+  if (config.workspace) paths.push(path.join(config.workspace.dir, "package.json"));
+  for (const fullPath of paths) {
+    files[fullPath] = existsSync(fullPath) ? readFileSync(fullPath, "utf8") : null;
+  }
+  return files;
 }
 
-function getInstalledVersion(pkg) {
-  try {
-    const pkgJsonPath = path.join(process.cwd(), "node_modules", pkg, "package.json");
-    if (existsSync(pkgJsonPath)) {
-      const pkgJson = JSON.parse(readFileSync(pkgJsonPath, "utf8"));
-      return pkgJson.version;
+// Returns whether any file had to be restored
+function restoreManifests(snapshot) {
+  let changed = false;
+  for (const [fullPath, content] of Object.entries(snapshot)) {
+    const current = existsSync(fullPath) ? readFileSync(fullPath, "utf8") : null;
+    if (current === content) continue;
+    changed = true;
+    if (content === null) {
+      unlinkSync(fullPath);
+    } else {
+      writeFileSync(fullPath, content);
     }
-  } catch (err) {
-    console.error(`❌ Error checking installed version for ${pkg}: ${err.message}`);
   }
-  return null;
+  return changed;
 }
 
-async function Update(argv) {
-  if (argv["min-age"]) {
-    try {
-      console.log("Update command is not perfect, and can have some issues.")
-      config.minAge = parseMinAge(argv["min-age"]);
-    } catch (err) {
-      console.error(err.message);
-      process.exit(1);
+// Run `step` as a single unit. If it throws, package.json and the lockfile are restored
+// and node_modules is reinstalled from them, which brings back the previously installed
+// versions instead of leaving whatever the failed install produced. Returns the error
+// `step` threw, or null.
+async function withRollback(step) {
+  const snapshot = snapshotManifests();
+  try {
+    await step();
+    return null;
+  } catch (err) {
+    reportError(err);
+    if (restoreManifests(snapshot)) {
+      info("↩️  Rolling back package.json and lockfile to their previous state");
+      if (snapshot[path.join(config.cwd, "package.json")] !== null) {
+        const pm = getPackageManager();
+        try {
+          pm.run(pm.restore());
+        } catch (_) {
+          console.error("❌ Failed to reinstall the previous dependencies. Run your package manager's install command manually.");
+        }
+      }
     }
+    return err;
   }
+}
 
-  let packages = argv.packages;
+// npm error codes of registry, authentication and network failures
+const npmRegistryFailure = /\b(E4\d\d|E5\d\d|ENOTFOUND|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH)\b/;
 
-  if (argv.all) {
-    const pkgPath = path.join(process.cwd(), "package.json");
-    if (!existsSync(pkgPath)) {
-      console.error("❌ No package.json found in current directory");
-      process.exit(1);
-    }
-    const pkgJson = JSON.parse(readFileSync(pkgPath, "utf8"));
-    const deps = Object.keys(pkgJson.dependencies || {});
-    const devDeps = Object.keys(pkgJson.devDependencies || {});
-    packages = [...deps, ...devDeps];
-    if (packages.length === 0) {
-      console.log("✅ No dependencies found to update");
-      return;
-    }
-    console.log(`📦 Found ${packages.length} dependencies in package.json`);
+// npm's error output stays on the error thrown, for resolveFailure
+function resolveLockOnly(installSpec, save) {
+  const pm = getPackageManager();
+  pm.run(pm.resolveLockfile(installSpec, save), { stdio: ["ignore", "pipe", "pipe"] });
+  return readLockfile(config.cwd);
+}
+
+// `message` with the reason `err` gives, npm's error output when there is some. Registry
+// and network failures are RegistryErrors, so they exit with the network code.
+function resolveFailure(message, err) {
+  const output = String(err.stderr || "").trim();
+  const ErrorClass = npmRegistryFailure.test(output) ? RegistryError : GuardianError;
+  const error = new ErrorClass(`${message}:\n${output || err.message}`);
+  error.cause = err;
+  return error;
+}
+
+function reportYoungPackages(violations) {
+  for (const { name, version, ageDays, minAge } of violations) {
+    console.error(` - ${name}@${version} (${describeAge(ageDays, minAge)})`);
   }
+}
 
-  if (!packages || packages.length === 0) {
-    console.error("❌ You must specify at least one package to update or use --all");
-    process.exit(1);
+// Report install scripts and apply config.scriptsMode. Returns the names of the
+// allowlisted packages whose scripts should run after an --ignore-scripts install.
+function applyScriptsPolicy(found, installSpec, result) {
+  if (config.scriptsMode === "ignore" || found.length === 0) return [];
+
+  const approved = found.filter(({ name }) => config.allowScripts.includes(name));
+  const unapproved = found.filter(({ name }) => !config.allowScripts.includes(name));
+  info(`📜 ${found.length} packages required by ${installSpec} run install scripts:`);
+  for (const { name, version, scripts } of found) {
+    const label = scripts.length ? scripts.join(", ") : "native build";
+    info(` - ${name}@${version} (${label})${config.allowScripts.includes(name) ? " [allowed]" : ""}`);
   }
 
-  for (const pkg of packages) {
-    await checkAndUpdate(pkg, argv.dev, argv.exact);
+  if (unapproved.length > 0) {
+    const names = unapproved.map(({ name }) => name).join(", ");
+    const level = config.scriptsMode === "block" ? "error" : "warning";
+    for (const { name, version } of unapproved) {
+      addFinding(result, "installScripts", level, `${name}@${version} runs install scripts and is not in allowScripts`);
+    }
+    if (config.scriptsMode === "block") {
+      throw new PolicyError(`For security, ${installSpec} was not installed. Reason: install scripts of packages not in allowScripts: ${names}.`, "installScripts", unapproved);
+    }
+    console.warn(`⚠️ Install scripts of ${names} will not run. Add them to allowScripts to run them.`);
   }
+  return [...new Set(approved.map(({ name }) => name))];
 }
 
-const severityObj = {
-  low: 1,
-  moderate: 2,
-  high: 3,
-  critical: 4
+// Install with lifecycle scripts disabled, then run only the approved packages' scripts
+function installWithScriptsPolicy(installSpec, save, approvedScripts) {
+  const pm = getPackageManager();
+  if (config.scriptsMode === "ignore") {
+    pm.run(pm.install(installSpec, save));
+    return;
+  }
+  pm.run(pm.install(installSpec, save, true));
+  const installed = approvedScripts.filter(isInstalled);
+  if (installed.length > 0) {
+    info(`📜 Running install scripts of ${installed.join(", ")}`);
+    pm.run(pm.runScripts(installed));
+  }
+}
+
+// Whether the last install put `name` in node_modules, from the workspace up to the root
+// or in pnpm's node_modules/.pnpm/node_modules, which links every package of the tree.
+// Yarn Plug'n'Play has no node_modules to look in, so everything counts as installed.
+function isInstalled(name) {
+  if (existsSync(path.join(config.cwd, ".pnp.cjs"))) return true;
+  return Boolean(getInstalledVersion(name, config.cwd, getPackageDir(config)))
+    || existsSync(path.join(config.cwd, "node_modules", ".pnpm", "node_modules", name, "package.json"));
+}
+
+// Apply config.riskMode to the typosquatting and release heuristics
+async function checkReleaseRisk(pkg, version, result, { typosquat = false } = {}) {
+  if (config.riskMode === "off") return;
+  const meta = await fetchFullPackageMeta(pkg, config);
+
+  const findings = [];
+  const target = typosquat ? findTyposquatTarget(pkg) : null;
+  if (target) findings.push(`the name is very similar to the popular package "${target}"`);
+  const { baseline, findings: releaseFindings } = analyzeReleaseRisk(pkg, meta, version, config);
+  findings.push(...releaseFindings);
+  if (findings.length === 0) return;
+
+  console.warn(`🔎 Suspicious signs in ${pkg}@${version}${baseline && releaseFindings.length ? ` compared to ${baseline}` : ""}:`);
+  for (const finding of findings) {
+    console.warn(` - ${finding}`);
+    addFinding(result, "releaseRisk", config.riskMode === "block" ? "error" : "warning", finding);
+  }
+  if (config.riskMode === "block") {
+    throw new PolicyError(`For security, the package ${pkg}@${version} was not installed. Reason: This release looks suspicious.`, "releaseRisk", [{ name: pkg, version, findings }]);
+  }
+  console.warn("⚠️ Installation will proceed due to 'warn' risk mode.");
 }
 
+// Resolve the full dependency tree without touching node_modules and check every new
+// node against minAge. Depending on config.transitive, too-young versions block the
+// install (by throwing, so the surrounding transaction rolls back), are pinned to an
+// older version through npm overrides, or only warn.
+async function guardTransitiveTree(installSpec, save, result) {
+  const checkAge = config.transitive !== "off" && (config.minAge || config.rules.some((rule) => rule.minAge));
+  const checkAdvisories = config.mode !== "off";
+  const checkScripts = config.scriptsMode !== "ignore";
+  const checkSignatures = config.mode !== "off" && (config.verifySignatures || config.requireProvenance.length > 0);
+  const { allow = [], deny = [] } = config.licenses || {};
+  const checkLicenses = config.mode !== "off" && (allow.length > 0 || deny.length > 0);
+  if (!checkAge && !checkAdvisories && !checkScripts && !checkSignatures && !checkLicenses) return [];
+  const pm = getPackageManager();
+  if (!pm.resolveLockfile) {
+    if (checkAge) console.warn(`⚠️  The transitive age check needs npm's package-lock.json and is skipped for ${pm.name}.`);
+    // Without a readable lockfile only the requested package can be checked, so the
+    // scripts of every allowlisted package the install brings in are run
+    const [name, version] = splitPkgSpec(installSpec);
+    if (checkSignatures) await guardSignatures([{ name, version }], installSpec, result);
+    if (checkLicenses) await guardLicenses([{ name, version }], installSpec, result);
+    if (!checkScripts) return [];
+    applyScriptsPolicy(await findInstallScripts([{ name, version }], config), installSpec, result);
+    return config.allowScripts;
+  }
+
+  const before = new Set(getLockedPackages(readLockfile(config.cwd)).map((p) => `${p.location}@${p.version}`));
 
-async function checkVulnerabilities(pkg) {
+  let lock;
   try {
-    const output = execSync(`npm audit --json`, { encoding: "utf8" });
-    const audit = JSON.parse(output);
-
-    // Acceso directo al paquete específico
-    const vuln = audit.vulnerabilities[pkg];
-
-    if (vuln) {
-
-      const getSeverityValue = (level) => severityObj[level] || 1;
-
-      const vulnSeverity = getSeverityValue(vuln.severity);
-
-      const viaSeverity = Array.isArray(vuln.via)
-        ? vuln.via.reduce((max, issue) => {
-          if (typeof issue === "object" && issue.severity) {
-            const severityValue = getSeverityValue(issue.severity);
-            return severityValue > max ? severityValue : max;
-          }
-          return max;
-        }, 0)
-        : 0;
-
-
-      const highestSeverity = Math.max(vulnSeverity, viaSeverity);
-
-      if (vuln.via.length >= 1) {
-        console.error(`🚨 Vulnerabilities found in ${pkg}:`);
-        if (typeof vuln.via === "object" && !Array.isArray(vuln.via)) {
-          for (const issue of Object.values(vuln.via)) {
-            console.error(` - ${issue} (${issue.severity}) → ${issue.url}`);
-          }
-        } else {
-          for (const issue of vuln.via) {
-            if (typeof issue === "object" && issue.title && issue.severity && issue.url) {
-              console.error(` - ${issue.title} (${issue.severity}) → ${issue.url}`);
-            } else {
-              console.error(` - ${issue} (dependency level)`);
-            }
-          }
-        }
-      } else {
-        console.error(`🚨 Vulnerabilities found in ${pkg}`);
+    lock = resolveLockOnly(installSpec, save);
+  } catch (err) {
+    throw resolveFailure(`Failed to resolve the dependency tree for ${installSpec}`, err);
+  }
+  const changed = () => getLockedPackages(lock).filter((p) => !before.has(`${p.location}@${p.version}`));
+  // A security fix let through the cooldown is not held back again as a dependency
+  const bypassed = result.findings.some((finding) => finding.policy === "securityFix");
+  const findYoung = async () => (await findYoungPackages(changed(), config))
+    .filter((violation) => !(bypassed && violation.name === result.name && violation.version === result.version));
+
+  if (checkAdvisories) {
+    let vulnerable = [];
+    try {
+      vulnerable = await findVulnerablePackages(changed(), config);
+    } catch (err) {
+      rethrowAdvisoryError(err, config);
+      console.warn(`⚠️ Could not check advisories for the dependencies of ${installSpec}: ${err.message}`);
+      addFinding(result, "vulnerabilities", "note", `Could not check advisories of the dependencies: ${err.message}`);
+    }
+    if (vulnerable.length > 0) {
+      const highestSeverity = Math.max(...vulnerable.flatMap((v) => v.advisories.map((advisory) => getSeverityValue(advisory.severity))));
+      for (const { name, version, advisories } of vulnerable) {
+        console.error(`🚨 Vulnerabilities found in ${name}@${version}, required by ${installSpec}:`);
+        reportAdvisories(advisories);
+        addVulnerabilities(result, name, version, advisories);
+      }
+      if (config.mode === "block" && highestSeverity >= 3) {
+        throw new PolicyError(`For security, ${installSpec} was not installed. Reason: its dependency tree has high or critical vulnerabilities.`, "vulnerabilities", vulnerable);
       }
+      addFinding(result, "vulnerabilities", "warning", "The dependency tree has known vulnerabilities");
+      if (config.mode === "warn") console.warn("⚠️ Installation will proceed due to 'warn' mode.");
+    }
+  }
+  if (checkSignatures) await guardSignatures(changed(), installSpec, result);
+  if (checkLicenses) await guardLicenses(changed(), installSpec, result);
+  const approvedScripts = checkScripts ? applyScriptsPolicy(await findInstallScripts(changed(), config), installSpec, result) : [];
+  if (!checkAge) return approvedScripts;
+
+  let violations = await findYoung();
+  if (violations.length === 0) {
+    info(`✅ All ${changed().length} resolved dependencies of ${installSpec} meet the minimum age requirement.`);
+    return approvedScripts;
+  }
 
+  console.error(`🚨 ${violations.length} dependencies of ${installSpec} are younger than the minimum age:`);
+  reportYoungPackages(violations);
 
-      if (config.mode === "block" && highestSeverity >= 3) {
-        console.error(`For security, the package ${pkg} was uninstalled. Rason: This package has high or critical vulnerabilities.`);
-        execSync(`npm uninstall ${pkg} --no-audit`, { stdio: "inherit" });
+  if (config.transitive === "warn") {
+    console.warn("⚠️ Installation will proceed due to 'warn' transitive mode.");
+    addAgeFindings(result, violations, "warning");
+    return approvedScripts;
+  }
 
+  if (config.transitive === "pin") {
+    const overrides = {};
+    const unpinnable = [];
+    for (const violation of violations) {
+      const pinned = isDirectDependency(violation.name, lock, config.workspace ? config.workspace.location : "") ? null : await findPinnableVersion(violation.name, lock, config);
+      if (pinned) overrides[violation.name] = pinned;
+      else unpinnable.push(violation);
+    }
+
+    if (unpinnable.length === 0) {
+      for (const [name, pinned] of Object.entries(overrides)) {
+        info(`📌 Pinning ${name} to ${pinned} via overrides`);
+        addFinding(result, "transitive", "note", `${name} pinned to ${pinned} via overrides`);
       }
-      if (config.mode === "warn") console.warn("⚠️ Installation will proceed due to 'warn' mode.");
+      try {
+        writeOverrides(overrides, config.cwd);
+        lock = resolveLockOnly(installSpec, save);
+      } catch (err) {
+        throw resolveFailure(`Failed to resolve ${installSpec} with pinned overrides`, err);
+      }
+      violations = await findYoung();
+      if (violations.length === 0) return approvedScripts;
+      console.error("❌ Some dependencies are still too young after pinning:");
+      reportYoungPackages(violations);
     } else {
-      console.log(`✅ No vulnerabilities found for ${pkg}`);
+      console.error("❌ No older acceptable version could be pinned for:");
+      reportYoungPackages(unpinnable);
     }
-  } catch (err) {
-    if (err.stdout) {
-      try {
-        const audit = JSON.parse(err.stdout.toString());
-        const vuln = audit.vulnerabilities[pkg];
-
-        if (vuln) {
-
-          const getSeverityValue = (level) => severityObj[level] || 1;
-
-          const vulnSeverity = getSeverityValue(vuln.severity);
-          const viaSeverity = Array.isArray(vuln.via)
-            ? vuln.via.reduce((max, issue) => {
-              if (typeof issue === "object" && issue.severity) {
-                const severityValue = getSeverityValue(issue.severity);
-                return severityValue > max ? severityValue : max;
-              }
-              return max;
-            }, 0)
-            : 0;
-
-
-          const highestSeverity = Math.max(vulnSeverity, viaSeverity);
-
-          if (vuln.via.length >= 1) {
-            console.error(`🚨 Vulnerabilities found in ${pkg}:`);
-            if (typeof vuln.via === "object" && !Array.isArray(vuln.via)) {
-              for (const issue of Object.values(vuln.via)) {
-                console.error(` - ${issue} (${issue.severity}) → ${issue.url}`);
-              }
-            } else {
-              for (const issue of vuln.via) {
-                if (typeof issue === "object" && issue.title && issue.severity && issue.url) {
-                  console.error(` - ${issue.title} (${issue.severity}) → ${issue.url}`);
-                } else {
-                  console.error(` - ${issue} [sub-dependency level] recommended action: send a issue to the maintainer of this sub-dependency.`);
-                }
-              }
-            }
-          } else {
-            console.error(`🚨 Vulnerabilities found in ${pkg}`);
-          }
-
-          if (config.mode === "block" && highestSeverity >= 3) {
-            console.error(`For security, the package ${pkg} was uninstalled. Rason: This package has high or critical vulnerabilities.`);
-            execSync(`npm uninstall ${pkg} --no-audit`, { stdio: "inherit" });
-
-          }
-          if (config.mode === "warn") console.warn("⚠️ Installation will proceed due to 'warn' mode.");
-        } else {
-          console.log(`✅ No vulnerabilities found for ${pkg}`);
-        }
-      } catch (_) { }
+  }
+
+  addAgeFindings(result, violations, "error");
+  throw new PolicyError(`For security, ${installSpec} was not installed. Reason: its dependency tree contains versions younger than the minimum age.`, "transitive", violations);
+}
+
+// Apply config.mode to packages without a valid registry signature, lockfile integrity
+// or required provenance
+async function guardSignatures(packages, installSpec, result) {
+  const unverified = await verifyPackages(packages, config);
+  if (unverified.length === 0) {
+    info(`🔏 Signatures and provenance of ${installSpec} and its dependencies verified`);
+    return;
+  }
+  const level = config.mode === "block" ? "error" : "warning";
+  console.error(`🚨 ${unverified.length} packages required by ${installSpec} could not be verified:`);
+  for (const { name, version, problems } of unverified) {
+    for (const { policy, message } of problems) {
+      console.error(` - ${name}@${version} ${message}`);
+      addFinding(result, policy, level, `${name}@${version} ${message}`);
     }
   }
+  if (config.mode === "block") {
+    const policy = unverified.some(({ problems }) => problems.some((problem) => problem.policy === "signatures")) ? "signatures" : "provenance";
+    throw new PolicyError(`For security, ${installSpec} was not installed. Reason: missing or invalid signatures or provenance.`, policy, unverified);
+  }
+  console.warn("⚠️ Installation will proceed due to 'warn' mode.");
 }
 
+function reportLicenses(violations, what) {
+  console.error(`🚨 ${violations.length} ${what} have licenses the license policy does not allow, or unknown ones:`);
+  for (const { name, version, message } of violations) console.error(` - ${name}@${version} ${message}`);
+}
 
-async function auditPackage(pkgSpec, version) {
-  const [pkg] = splitPkgSpec(pkgSpec);
+// Apply config.mode to packages whose license `licenses` does not allow. Unknown or
+// missing licenses only block when there is an allow list.
+async function guardLicenses(packages, installSpec, result) {
+  const violations = await findLicenseViolations(packages, config);
+  if (violations.length === 0) {
+    info(`⚖️  Licenses of ${installSpec} and its dependencies are allowed`);
+    return;
+  }
+  reportLicenses(violations, `packages required by ${installSpec}`);
+  const refused = violations.filter((violation) => violation.refused);
+  for (const { name, version, message, refused: isRefused } of violations) {
+    addFinding(result, "licenses", isRefused && config.mode === "block" ? "error" : "warning", `${name}@${version} ${message}`);
+  }
+  if (refused.length === 0) return;
+  if (config.mode === "block") {
+    throw new PolicyError(`For security, ${installSpec} was not installed. Reason: its dependency tree contains licenses the license policy does not allow.`, "licenses", refused);
+  }
+  console.warn("⚠️ Installation will proceed due to 'warn' mode.");
+}
 
-  try {
+function describeAge(ageDays, minAge) {
+  return ageDays === null ? "no publish date in registry" : `published ${ageDays} days ago, minimum is ${minAge}`;
+}
 
-    await checkVulnerabilities(pkg);
-  } catch (error) {
-    console.error(`❌ Failed to audit ${pkg}@${version}: ${error.message}`);
-    process.exit(1);
+// " (reason, until date)" for exclusions that have them
+function describeExclusion(name) {
+  const exclusion = getExclusion(name, config);
+  return exclusion && exclusion.reason ? ` (${exclusion.reason}, until ${exclusion.expires})` : "";
+}
+
+function addAgeFindings(result, violations, level) {
+  for (const { name, version, ageDays, minAge } of violations) {
+    addFinding(result, "transitive", level, `Dependency ${name}@${version} (${describeAge(ageDays, minAge)})`);
+  }
+}
+
+// Report a dependency update leaves as declared. Returns whether it is one.
+function skipUpdate(dependency) {
+  const reason = getUpdateSkipReason(dependency, config);
+  if (!reason) return false;
+  info(`⚠️  Skipping ${dependency.name}: ${reason}`);
+  const result = newResult(`${dependency.name}@${dependency.range}`);
+  // The declared spec may contain an "@" of its own (npm:other@^1)
+  result.name = dependency.name;
+  addFinding(result, "source", "note", reason);
+  result.decision = "skipped";
+  return true;
+}
+
+async function Update(argv) {
+  if (argv["min-age"]) info("Update command is not perfect, and can have some issues.")
+  applyMinAge(argv);
+
+  const workspaces = getSelectedWorkspaces(argv);
+  const requested = argv.packages && argv.packages.length > 0 ? argv.packages : null;
+  if (requested && workspaces) {
+    // Across workspaces a package is updated wherever it is declared
+    const declaredAnywhere = new Set(workspaces.flatMap((workspace) => Object.keys(readDeclaredDependencies(workspace.manifest))));
+    const missing = requested.filter((pkgSpec) => !declaredAnywhere.has(splitPkgSpec(pkgSpec)[0]));
+    if (missing.length > 0) {
+      fail(EXIT.config, `Not declared in any selected workspace: ${missing.join(", ")}. Use guardian install to add them.`);
+    }
   }
 
+  // Each update is its own unit, so a blocked update restores that package's previous version
+  const errors = [];
+  let attempted = 0;
+  await forEachWorkspace(workspaces, argv, async (workspace) => {
+    const pkgPath = path.join(getPackageDir(config), "package.json");
+    if (!existsSync(pkgPath)) {
+      fail(EXIT.config, "No package.json found in current directory");
+    }
+    const declared = readDeclaredDependencies(JSON.parse(readFileSync(pkgPath, "utf8")));
+
+    let dependencies;
+    if (requested) {
+      dependencies = requested.map((pkgSpec) => declared[splitPkgSpec(pkgSpec)[0]]);
+      const missing = requested.filter((_, i) => !dependencies[i]);
+      if (missing.length > 0 && !workspace) {
+        fail(EXIT.config, `Not declared in package.json: ${missing.join(", ")}. Use guardian install to add them.`);
+      }
+      dependencies = dependencies.filter(Boolean);
+      if (dependencies.length === 0) {
+        info("✅ None of the packages are declared in this workspace");
+        return;
+      }
+    } else if (argv.all) {
+      dependencies = Object.values(declared);
+      if (dependencies.length === 0) {
+        info("✅ No dependencies found to update");
+        return;
+      }
+      info(`📦 Found ${dependencies.length} dependencies in package.json`);
+    }
 
+    if (!dependencies || dependencies.length === 0) {
+      fail(EXIT.config, "You must specify at least one package to update or use --all");
+    }
+    if (argv["dry-run"]) {
+      const error = await runPlan(dependencies, (dependency) => planUpdate(dependency, argv.target, config));
+      if (error) errors.push(error);
+      return;
+    }
 
+    ensurePackageManager();
+    dependencies = dependencies.filter((dependency) => !skipUpdate(dependency));
+    await prefetchPackageMeta(dependencies.map(({ name }) => name), config);
+    for (const dependency of dependencies) {
+      attempted++;
+      const result = newResult(`${dependency.name}@${dependency.range}`);
+      const error = await withRollback(() => checkAndUpdate(dependency, argv.target, argv.exact, result));
+      if (!error) continue;
+      errors.push(error);
+      markFailed(result, error);
+      if (result.action === "updated") result.action = "rolled-back";
+    }
+  });
+  if (errors.length > 0) {
+    if (attempted > 0) console.error(`❌ ${errors.length} of ${attempted} packages could not be updated`);
+    exit(exitCodeFor(errors[0]), errors[0]);
+  }
 }
 
-async function resolveSafeVersion(pkgSpec) {
-  const [pkg, versionRange] = splitPkgSpec(pkgSpec);
-  if (config.exclude.includes(pkg)) {
-    console.log(`⚠️  ${pkg} is excluded from restrictions. Running without validation.`);
-    return pkgSpec; // devolver tal cual
+// Report the installed package's vulnerabilities. Returns true when block mode
+// refuses to keep it, leaving the caller to roll back or uninstall.
+async function auditInstalled(pkg, version, result) {
+  let vuln;
+  try {
+    vuln = await checkVulnerabilities(pkg, config);
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    addFinding(result, "vulnerabilities", "note", err.message);
+    return false;
   }
 
-  const res = await fetch(`https://registry.npmjs.org/${pkg}`);
-  if (!res.ok) {
-    throw new Error(`❌ Failed to fetch metadata for ${pkg}`);
+  if (!vuln) {
+    info(`✅ No vulnerabilities found for ${pkg}`);
+    return false;
   }
-  const meta = await res.json();
-  const versions = Object.keys(meta.versions);
-  const time = meta.time;
 
-  const minAge = config.minAge || 0;
-  const candidates = versions.filter(v => {
-    const publishedDate = time[v];
-    if (!publishedDate) return false;
-    const published = new Date(publishedDate).getTime();
-    const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
-    return ageDays >= minAge;
-  });
+  if (vuln.advisories.length + vuln.via.length >= 1) {
+    console.error(`🚨 Vulnerabilities found in ${pkg}:`);
+    for (const issue of vuln.advisories) {
+      console.error(` - ${issue.title} (${issue.severity}) → ${issue.url}`);
+    }
+    for (const dependency of vuln.via) {
+      console.error(` - ${dependency} [sub-dependency level] recommended action: send a issue to the maintainer of this sub-dependency.`);
+    }
+  } else {
+    console.error(`🚨 Vulnerabilities found in ${pkg}`);
+  }
+  addVulnerabilities(result, pkg, version, vuln.advisories);
+  for (const dependency of vuln.via) {
+    addFinding(result, "vulnerabilities", vuln.blocked ? "error" : "warning", `Vulnerable through its dependency ${dependency}`);
+  }
+  if (!vuln.blocked) addFinding(result, "vulnerabilities", "warning", `Known vulnerabilities (${vuln.severity})`);
 
-  if (candidates.length === 0) {
-    throw new Error(`❌ No versions of ${pkg} are at least ${minAge} days old`);
+  if (config.mode === "warn") console.warn("⚠️ Installation will proceed due to 'warn' mode.");
+  return vuln.blocked;
+}
+
+function reportAdvisories(advisories) {
+  for (const advisory of advisories) {
+    console.error(` - ${advisory.title} (${advisory.severity}) → ${advisory.url}`);
   }
+}
 
-  let resolvedVersion;
-  if (!versionRange) {
-    resolvedVersion = semver.maxSatisfying(candidates, "*");
-  } else {
-    const candidateInRange = candidates.filter(v => semver.satisfies(v, versionRange));
-    if (candidateInRange.length === 0) {
-      throw new Error(`❌ No version of ${pkg} satisfies "${versionRange}" and is at least ${minAge} days old`);
+async function auditPackage(pkgSpec) {
+  const [pkg] = splitPkgSpec(pkgSpec);
+  const result = newResult(pkgSpec);
+  result.version = getInstalledVersion(pkg, config.cwd, getPackageDir(config));
+
+  try {
+    if (await auditInstalled(pkg, result.version, result)) {
+      const message = `For security, the package ${pkg} was uninstalled. Rason: This package has high or critical vulnerabilities.`;
+      console.error(message);
+      addFinding(result, "vulnerabilities", "error", message);
+      const pm = getPackageManager();
+      pm.run(pm.uninstall(pkg));
+      result.action = "uninstalled";
     }
-    resolvedVersion = semver.maxSatisfying(candidateInRange, "*");
+  } catch (error) {
+    console.error(`❌ Failed to audit ${pkgSpec}: ${error.message}`);
+    markFailed(result, error);
+    exit(exitCodeFor(error), error);
   }
+}
 
-  const publishedDate = time[resolvedVersion];
-  const published = new Date(publishedDate).getTime();
-  const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
+async function checkAndInstall(pkgSpec, asDev, exact, result) {
+  const save = saveOptions(asDev ? "dev" : "prod", exact);
+  const pm = getPackageManager();
+  const resolved = await resolveVersion(pkgSpec, result);
+  const { name: pkg, version: resolvedVersion, ageDays } = resolved;
+  if (resolved.excluded) {
+    info(`⚠️  ${pkg} is excluded from restrictions${describeExclusion(pkg)}. Installing without validation.`);
+    pm.run(pm.install(pkgSpec, save));
+    result.action = "installed";
+    return;
+  }
 
-  console.log(`✅ Resolved version: ${pkg}@${resolvedVersion} (published ${ageDays} days ago)`);
+  info(`✅ Resolved version: ${pkg}@${resolvedVersion} (published ${ageDays} days ago)`);
+  await checkReleaseRisk(pkg, resolvedVersion, result, { typosquat: true });
 
-  return `${pkg}@${resolvedVersion}`;
+  const approvedScripts = await guardTransitiveTree(`${pkg}@${resolvedVersion}`, save, result);
+  info(`✅ Installing ${pkg}@${resolvedVersion} (published ${ageDays} days ago)`);
+  installWithScriptsPolicy(`${pkg}@${resolvedVersion}`, save, approvedScripts);
+  result.action = "installed";
+  if (await auditInstalled(pkg, resolvedVersion, result)) {
+    throw new PolicyError(`For security, the package ${pkg} was not installed. Reason: This package has high or critical vulnerabilities.`, "vulnerabilities");
+  }
 }
 
 
-async function checkAndInstall(pkgSpec, asDev = false, exact = false) {
-  const [pkg, versionRange] = splitPkgSpec(pkgSpec);
-  if (config.exclude.includes(pkg)) {
-    console.log(`⚠️  ${pkg} is excluded from restrictions. Installing without validation.`);
-    execSync(`npm install ${pkgSpec} --silent --no-audit ${asDev ? " --save-dev" : ""}${exact || config.exactInstall ? " --save-exact" : ""}`, { stdio: "inherit" });
-    return;
-  }
-  const res = await fetch(`https://registry.npmjs.org/${pkg}`);
-  if (!res.ok) {
-    console.error(`❌ Failed to fetch metadata for ${pkg}`);
-    process.exit(1);
-  }
-  const meta = await res.json();
-  const versions = Object.keys(meta.versions);
-  const time = meta.time;
-  let resolvedVersion;
-
-  // Filter versions that meet the minAge
-  const minAge = config.minAge || 0;
-  const candidates = versions.filter(v => {
-    const publishedDate = time[v];
-    if (!publishedDate) return false;
-    const published = new Date(publishedDate).getTime();
-    const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
-    return ageDays >= minAge;
+// Returns the error that rolled the install back, or null
+async function run(packages, asDev = false, exact = false) {
+  ensurePackageManager();
+  // All packages are installed as a single unit: if one fails, none are kept
+  const installResults = [];
+  await prefetchPackageMeta(packages.map((pkgSpec) => splitPkgSpec(pkgSpec)[0]), config);
+  const error = await withRollback(async () => {
+    for (const pkgSpec of packages) {
+      const result = newResult(pkgSpec);
+      installResults.push(result);
+      await checkAndInstall(pkgSpec, asDev, exact, result);
+    }
   });
+  if (!error) return null;
+  markFailed(installResults[installResults.length - 1], error);
+  for (const result of installResults) {
+    if (result.action === "installed") result.action = "rolled-back";
+  }
+  return error;
+}
+
+function printTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(([key]) => (row[key] === null || row[key] === undefined ? "-" : String(row[key]))));
+  const widths = columns.map(([, title], i) => Math.max(title.length, ...cells.map((line) => line[i].length)));
+  const formatLine = (line) => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  console.log(formatLine(columns.map(([, title]) => title)));
+  console.log(formatLine(widths.map((width) => "-".repeat(width))));
+  for (const line of cells) console.log(formatLine(line));
+}
 
-  if (candidates.length === 0) {
-    console.error(`❌ No versions of ${pkg} are at least ${minAge} days old`);
-    process.exit(1);
+// What a plan row comes to: "install", "skip" (nothing to change), "blocked" or "error"
+function describeDecision(row) {
+  if (row.decision === "blocked" || row.decision === "error") return row.decision;
+  if (row.decision === "skipped" || row.change === "none") return "skip";
+  return "install";
+}
+
+// Returns a RegistryError when some package could not be planned, a PolicyError when a
+// real install would refuse some, or null
+async function runPlan(packages, planner = (pkgSpec) => planPackage(pkgSpec, config)) {
+  await prefetchPackageMeta(packages.map((pkg) => (typeof pkg === "string" ? splitPkgSpec(pkg)[0] : pkg.name)), config);
+  const rows = [];
+  for (const pkg of packages) {
+    rows.push(await planner(pkg));
   }
 
-  if (!versionRange) {
-    // If no range is specified, take the latest valid version
-    resolvedVersion = semver.maxSatisfying(candidates, "*");
+  if (format !== "text") {
+    // Dry-run results also carry the plan's current version, change and newest too young version
+    rows.forEach((row, i) => {
+      const requested = typeof packages[i] === "string" ? packages[i] : `${packages[i].name}@${packages[i].range}`;
+      const result = newResult(requested);
+      Object.assign(result, {
+        name: row.name,
+        version: row.proposed,
+        published: row.published,
+        ageDays: row.ageDays,
+        decision: row.decision,
+        current: row.current,
+        change: row.change,
+        newestTooYoung: row.newestTooYoung,
+      });
+      addVulnerabilities(result, row.name, row.proposed, row.vulnerabilities);
+      if (!row.skipped) return;
+      const policy = row.decision === "error" ? "error"
+        : row.decision === "skipped" ? "source"
+        : row.skipped.includes("vulnerabilities") ? "vulnerabilities"
+        : row.skipped.includes("deprecated") ? "deprecated"
+        : "minAge";
+      const level = row.decision === "blocked" ? "error" : row.decision === "warned" ? "warning" : "note";
+      addFinding(result, policy, level, row.skipped);
+    });
   } else {
-    // If a range is specified, take the latest version within the range and valid
-    const candidateInRange = candidates.filter(v => semver.satisfies(v, versionRange));
-    if (candidateInRange.length === 0) {
-      console.error(`❌ No version of ${pkg} satisfies "${versionRange}" and is at least ${minAge} days old`);
-      process.exit(1);
+    printTable(
+      rows.map((row) => ({ ...row, action: describeDecision(row), published: row.published && row.published.slice(0, 10) })),
+      [
+        ["name", "Package"],
+        ["action", "Decision"],
+        ["current", "Current"],
+        ["proposed", "Proposed"],
+        ["change", "Change"],
+        ["published", "Published"],
+        ["ageDays", "Age (days)"],
+        ["newestTooYoung", "Newest too young"],
+        ["skipped", "Notes"],
+      ]
+    );
+    info("ℹ️  Dry run: nothing was installed or changed.");
+  }
+  // The plan could not be completed for packages the registry failed to return
+  const failed = rows.find((row) => row.decision === "error");
+  if (failed) return new RegistryError(failed.skipped);
+  // A dry run fails like the install it stands for, so it can gate CI
+  const blocked = rows.filter((row) => row.decision === "blocked");
+  if (blocked.length === 0) return null;
+  const policy = blocked[0].skipped.includes("vulnerabilities") ? "vulnerabilities" : "minAge";
+  const error = new PolicyError(`The policy would refuse ${blocked.map((row) => row.name).join(", ")}. See the plan for the reasons.`, policy, blocked);
+  reportError(error);
+  return error;
+}
+
+// "2026-10-21 08:07 UTC"
+function formatDate(isoDate) {
+  return isoDate && `${isoDate.slice(0, 16).replace("T", " ")} UTC`;
+}
+
+async function runOutdated(argv) {
+  applyMinAge(argv);
+  const errors = [];
+  await forEachWorkspace(getSelectedWorkspaces(argv), argv, async () => {
+    const pkgPath = path.join(getPackageDir(config), "package.json");
+    if (!existsSync(pkgPath)) {
+      fail(EXIT.config, "No package.json found in current directory");
+    }
+    const dependencies = Object.values(readDeclaredDependencies(JSON.parse(readFileSync(pkgPath, "utf8"))));
+    if (dependencies.length === 0) {
+      info("✅ No dependencies found in package.json");
+      return;
+    }
+
+    await prefetchPackageMeta(dependencies.map(({ name }) => name), config);
+    const rows = [];
+    for (const dependency of dependencies) {
+      const row = await checkOutdated(dependency, config);
+      const notes = [];
+      // Outdated results also carry the allowed and latest versions and when the latest becomes eligible
+      const result = newResult(`${row.name}@${row.range}`);
+      Object.assign(result, { version: row.current, published: row.currentPublished, ageDays: row.currentAgeDays, allowed: row.allowed, latest: row.latest, eligibleAt: row.eligibleAt });
+      if (row.error) {
+        notes.push(row.error);
+        addFinding(result, "error", "error", row.error);
+        result.decision = "error";
+        errors.push(new RegistryError(row.error));
+      } else if (row.excluded) {
+        notes.push(`excluded from restrictions${describeExclusion(row.name)}`);
+        result.decision = "excluded";
+      }
+      if (row.currentTooYoung) {
+        const message = `installed version is younger than the minimum age (${describeAge(row.currentAgeDays, row.minAge)})`;
+        notes.push(message);
+        addFinding(result, "minAge", "warning", `The ${message}`);
+      }
+      if (row.eligibleAt) {
+        notes.push(`${row.latest} held back by the minimum age`);
+        addFinding(result, "minAge", "note", `${row.latest} becomes eligible on ${row.eligibleAt}`);
+      }
+      if (!row.error && !row.current) notes.push("not installed");
+      rows.push({ ...row, eligibleAt: formatDate(row.eligibleAt), notes: notes.join("; ") || null });
+    }
+
+    if (format === "text") {
+      printTable(rows, [
+        ["name", "Package"],
+        ["current", "Current"],
+        ["allowed", "Allowed"],
+        ["latest", "Latest"],
+        ["eligibleAt", "Latest eligible at"],
+        ["notes", "Notes"],
+      ]);
     }
-    resolvedVersion = semver.maxSatisfying(candidateInRange, "*");
+  });
+  if (errors.length > 0) exit(exitCodeFor(errors[0]), errors[0]);
+}
+
+async function runSbom(argv) {
+  applyMinAge(argv);
+  let sbom;
+  try {
+    sbom = await collectSbom(config);
+  } catch (err) {
+    failWith(err);
+  }
+  if (sbom.auditError) {
+    console.warn(`⚠️  Could not fetch the advisories, so the SBOM lists no vulnerabilities: ${sbom.auditError}`);
+  }
+  const document = argv.format === "spdx" ? toSpdx(sbom, { version }) : toCycloneDx(sbom, { version });
+  const output = JSON.stringify(document, null, 2);
+  if (!argv.output) {
+    console.log(output);
+    return;
+  }
+  try {
+    writeFileSync(argv.output, output + "\n");
+  } catch (err) {
+    fail(EXIT.failure, `Error writing ${argv.output}: ${err.message}`);
   }
+  const young = sbom.components.filter((component) => !component.minAgePassed).length;
+  info(`✅ SBOM with ${sbom.components.length} components written to ${argv.output} (${young} younger than the minimum age)`);
+}
 
-  const publishedDate = time[resolvedVersion];
-  const published = new Date(publishedDate).getTime();
-  const ageDays = Math.floor((Date.now() - published) / (1000 * 60 * 60 * 24));
+// Run the policies on the packages a lockfile change introduces, adding findings to
+// the results of `resultsByName`
+async function checkIntroducedPackages(introduced, base, resultsByName) {
+  const level = config.mode === "block" ? "error" : "warning";
+  const resultFor = (name) => resultsByName[name];
 
-  console.log(`✅ Resolved version: ${pkg}@${resolvedVersion} (published ${ageDays} days ago)`);
+  if (config.mode !== "off") {
+    for (const { name, version, ageDays, minAge } of await findYoungPackages(introduced, config)) {
+      addFinding(resultFor(name), "minAge", level, `${name}@${version} is younger than the minimum age (${describeAge(ageDays, minAge)})`);
+    }
+    try {
+      for (const { name, version, advisories } of await findVulnerablePackages(introduced, config)) {
+        const highestSeverity = Math.max(...advisories.map((advisory) => getSeverityValue(advisory.severity)));
+        addVulnerabilities(resultFor(name), name, version, advisories);
+        addFinding(resultFor(name), "vulnerabilities", config.mode === "block" && highestSeverity >= 3 ? "error" : "warning", `${name}@${version} has known vulnerabilities (${advisories.map((a) => a.severity).join(", ")})`);
+      }
+    } catch (err) {
+      if (!(err instanceof RegistryError)) throw err;
+      rethrowAdvisoryError(err, config);
+      console.warn(`⚠️ Could not check advisories: ${err.message}`);
+    }
+    for (const { name, version, problems } of await verifyPackages(introduced, config)) {
+      for (const { policy, message } of problems) addFinding(resultFor(name), policy, level, `${name}@${version} ${message}`);
+    }
+    for (const { name, version, message, refused } of await findLicenseViolations(introduced, config)) {
+      addFinding(resultFor(name), "licenses", refused ? level : "warning", `${name}@${version} ${message}`);
+    }
+  }
 
+  if (config.scriptsMode !== "ignore") {
+    for (const { name, version, scripts } of await findInstallScripts(introduced, config)) {
+      if (config.allowScripts.includes(name)) continue;
+      const label = scripts.length ? scripts.join(", ") : "native build";
+      addFinding(resultFor(name), "installScripts", config.scriptsMode === "block" ? "error" : "warning", `${name}@${version} runs install scripts (${label}) and is not in allowScripts`);
+    }
+  }
 
-  console.log(`✅ Installing ${pkg}@${resolvedVersion} (published ${ageDays} days ago)`);
-  execSync(`npm install ${pkg}@${resolvedVersion} --silent --no-audit ${asDev ? " --save-dev" : ""}${exact || config.exactInstall ? " --save-exact" : ""}`, { stdio: "inherit" });
-  await checkVulnerabilities(pkg);
+  if (config.riskMode !== "off") {
+    const baseVersions = {};
+    for (const { name, version } of getLockedPackages(base)) (baseVersions[name] = baseVersions[name] || []).push(version);
+    const seen = new Set();
+    for (const { name, version } of introduced) {
+      if (seen.has(`${name}@${version}`) || isExcluded(name, config)) continue;
+      seen.add(`${name}@${version}`);
+      const meta = await fetchFullPackageMeta(name, config);
+      // Compared with the version the base locked, or the release before a new package
+      const baseline = baseVersions[name] ? semver.rsort([...baseVersions[name]])[0] : getPreviousRelease(meta, version);
+      for (const finding of compareReleases(meta, version, baseline)) {
+        addFinding(resultFor(name), "releaseRisk", config.riskMode === "block" ? "error" : "warning", `${name}@${version} ${finding} (compared to ${baseline})`);
+      }
+    }
+  }
 }
 
+function printDiffMarkdown(changes, base, resultsByName) {
+  const escape = (text) => text.replace(/\|/g, "\\|");
+  const icons = { error: "❌", warning: "⚠️", note: "ℹ️" };
+  const lines = [`### Dependency changes since ${base}`, ""];
+  if (changes.length === 0) {
+    console.log([...lines, "No dependencies were added, removed or changed."].join("\n"));
+    return;
+  }
+  lines.push("| Package | Change | Before | After | Direct | Policy |", "| --- | --- | --- | --- | --- | --- |");
+  for (const { name, change, from, to, direct } of changes) {
+    const { findings } = resultsByName[name];
+    const policy = findings.length > 0 ? findings.map(({ level, message }) => `${icons[level]} ${escape(message)}`).join("<br>") : change === "removed" ? "" : "✅";
+    lines.push(`| \`${name}\` | ${change} | ${from.join(", ")} | ${to.join(", ")} | ${direct ? "yes" : "no"} | ${policy} |`);
+  }
+  const counts = ["added", "removed", "upgraded", "downgraded", "changed"]
+    .map((change) => [change, changes.filter((c) => c.change === change).length])
+    .filter(([, count]) => count > 0)
+    .map(([change, count]) => `${count} ${change}`);
+  const refused = Object.values(resultsByName).filter((result) => result.decision === "blocked").length;
+  lines.push("", `**${counts.join(", ")}.** ${refused > 0 ? `${refused} packages violate the policy.` : "No policy violations."}`);
+  console.log(lines.join("\n"));
+}
 
-async function run(packages, asDev = false, exact = false) {
-  const validModes = ["block", "warn", "off"];
-  if (!validModes.includes(config.mode)) {
-    console.error(`❌ Invalid mode in configuration: ${config.mode}. Valid options are: ${validModes.join(", ")}`);
-    process.exit(1);
+async function runDiff(argv) {
+  applyMinAge(argv);
+  let base;
+  try {
+    base = readBaseLockfile(argv.base, config);
+  } catch (err) {
+    failWith(err);
+  }
+  const head = readLockfile(config.cwd);
+  if (!head) fail(EXIT.config, "No package-lock.json found in current directory");
+  if (!head.packages) {
+    fail(EXIT.config, `Unsupported lockfileVersion ${head.lockfileVersion}. Only package-lock.json v2 and v3 are supported.`);
   }
-  for (const pkgSpec of packages) {
-    await checkAndInstall(pkgSpec, asDev, exact);
+
+  const changes = diffLockfiles(base, head);
+  // Diff results also carry the kind of change, the versions before and after and whether it is a direct dependency
+  const resultsByName = {};
+  for (const { name, change, from, to, direct } of changes) {
+    const result = newResult(name);
+    Object.assign(result, { version: to[to.length - 1] || null, change, from, to, direct });
+    resultsByName[name] = result;
   }
+  const introduced = getIntroducedPackages(base, head);
+  info(`🔍 ${changes.length} packages changed since ${argv.base}, ${introduced.length} new versions to check`);
+  await checkIntroducedPackages(introduced, base, resultsByName);
+
+  if (format === "markdown") printDiffMarkdown(changes, argv.base, resultsByName);
+  if (results.some((result) => result.decision === "blocked")) exit(EXIT.policy);
 }
 
 async function runAudit(argv) {
-  if (argv["min-age"]) {
-    try {
-      config.minAge = parseMinAge(argv["min-age"]);
+  applyMinAge(argv);
+  const workspaces = getSelectedWorkspaces(argv);
+  const requested = argv.packages && argv.packages.length > 0 ? argv.packages : null;
+  if (!requested && !workspaces) {
+    fail(EXIT.config, "You must specify at least one package to audit, or a workspace with --workspace");
+  }
+  await forEachWorkspace(workspaces, argv, async (workspace) => {
+    ensurePackageManager();
+    // In a workspace, the requested packages it declares, or all of its dependencies
+    let packages = requested;
+    if (workspace) {
+      const declared = readDeclaredDependencies(workspace.manifest);
+      packages = requested ? requested.filter((pkgSpec) => declared[splitPkgSpec(pkgSpec)[0]]) : Object.keys(declared);
+      if (packages.length === 0) info("✅ Nothing to audit in this workspace");
+    }
+    for (const pkgSpec of packages) {
+      await auditPackage(pkgSpec);
+    }
+  });
+  if (results.some((result) => result.decision === "blocked")) exit(EXIT.policy);
+}
 
-    } catch (err) {
-      console.error(err.message);
-      process.exit(1);
+async function runCheck(argv) {
+  applyMinAge(argv);
+
+  let check;
+  try {
+    check = await checkTree(config);
+  } catch (err) {
+    failWith(err);
+  }
+  if (check.skipped) {
+    info("⚠️  Check skipped due to 'off' mode.");
+    return;
+  }
+
+  const level = check.passed ? "warning" : "error";
+  for (const violation of check.violations) {
+    const result = newResult(`${violation.name}@${violation.version}`);
+    Object.assign(result, { version: violation.version, published: violation.published, ageDays: violation.ageDays });
+    addFinding(result, "minAge", level, `Locked version too young (${describeAge(violation.ageDays, violation.minAge)})`);
+  }
+  for (const fix of check.securityFixes) {
+    info(`🩹 ${fix.name}@${fix.version} is younger than the minimum age, but allowed as a security fix (${describeAge(fix.ageDays, fix.minAge)})`);
+    const result = newResult(`${fix.name}@${fix.version}`);
+    Object.assign(result, { version: fix.version, published: fix.published, ageDays: fix.ageDays });
+    addFinding(result, "securityFix", "warning", `Minimum age bypassed for a security fix (${describeAge(fix.ageDays, fix.minAge)})`);
+  }
+  for (const { name, version, problems } of check.unverified) {
+    const result = results.find((r) => r.requested === `${name}@${version}`) || newResult(`${name}@${version}`);
+    result.version = version;
+    for (const { policy, message } of problems) addFinding(result, policy, level, `${name}@${version} ${message}`);
+  }
+  for (const { name, version, message, refused } of check.licenses) {
+    const result = results.find((r) => r.requested === `${name}@${version}`) || newResult(`${name}@${version}`);
+    result.version = version;
+    addFinding(result, "licenses", refused ? level : "warning", `${name}@${version} ${message}`);
+  }
+  if (check.violations.length === 0 && check.unverified.length === 0 && check.licenses.length === 0) {
+    info(`✅ All ${check.checked} locked packages meet the minimum age requirement`);
+    return;
+  }
+
+  if (check.violations.length > 0) {
+    console.error(`🚨 ${check.violations.length} locked packages are younger than the minimum age:`);
+    reportYoungPackages(check.violations);
+  }
+  if (check.unverified.length > 0) {
+    console.error(`🚨 ${check.unverified.length} locked packages could not be verified:`);
+    for (const { name, version, problems } of check.unverified) {
+      for (const { message } of problems) console.error(` - ${name}@${version} ${message}`);
     }
   }
-  if (!argv.packages || argv.packages.length === 0) {
-    console.error("❌ You must specify at least one package to install");
-    process.exit(1);
+  if (check.licenses.length > 0) reportLicenses(check.licenses, "locked packages");
+
+  if (check.passed) {
+    if (config.mode === "warn") console.warn("⚠️ Check passes due to 'warn' mode.");
+    return;
   }
-  for (const pkgSpec of argv.packages) {
-    await auditPackage(pkgSpec);
+  exit(EXIT.policy);
+}
+
+async function runShimInstall(argv) {
+  const dir = path.resolve(argv.dir);
+  const files = installShims(dir, { node: process.execPath, cli: fileURLToPath(import.meta.url) });
+  info(`✅ Shims written: ${files.join(", ")}`);
+  if (isShimActive(dir)) {
+    info("✅ npm install, npm update and npx now go through Guardian in projects with a Guardian config.");
+  } else {
+    info(`👉 Put ${dir} first in your PATH to activate them, for example in ~/.profile:`);
+    info(`   export PATH="${dir}:$PATH"`);
   }
+  info("ℹ️  Run a command with GUARDIAN_SHIM=off to bypass them.");
 }
 
-async function runNPX(argv) {
-  const validModes = ["block", "warn", "off"];
-  if (!validModes.includes(config.mode)) {
-    console.error(`❌ Invalid mode in configuration: ${config.mode}. Valid options are: ${validModes.join(", ")}`);
-    process.exit(1);
+async function runShimUninstall(argv) {
+  const dir = path.resolve(argv.dir);
+  const removed = uninstallShims(dir);
+  if (removed.length === 0) {
+    info(`✅ No shims found in ${dir}`);
+    return;
   }
-  if (argv["min-age"]) {
-    try {
-      config.minAge = parseMinAge(argv["min-age"]);
-    } catch (err) {
-      console.error(err.message);
-      process.exit(1);
-    }
+  info(`✅ Shims removed: ${removed.join(", ")}`);
+  if (process.env.PATH.split(path.delimiter).some((entry) => path.resolve(entry) === dir)) {
+    info(`👉 You can remove ${dir} from your PATH.`);
   }
+}
 
-  const basePkg = argv.package
+// Run the real tool (the shim took itself off PATH) and exit with its status
+function passThrough(tool, args, cwd) {
+  const { status, error } = spawnSync(tool, args, { stdio: "inherit", cwd });
+  if (error) fail(EXIT.failure, `Could not run ${tool}: ${error.message}`);
+  process.exit(status === null ? EXIT.failure : status);
+}
 
-  let safePkg;
-  let confirm = ""
+async function runShimExec(argv) {
+  const cwd = process.cwd();
+  // Everything after "--" is the shimmed command line, options included
+  const args = process.argv.slice(process.argv.indexOf("--") + 1);
+  const route = findShimProject(cwd) && routeShimCommand(argv.tool, args);
+  // --prefix moves npm to another project, which may have no Guardian config of its own
+  const project = route && findShimProject(route.prefix ? path.resolve(cwd, route.prefix) : cwd);
+  if (!project) passThrough(argv.tool, args, cwd);
 
   try {
-    safePkg = await resolveSafeVersion(basePkg);
+    process.chdir(project.root);
+    config = loadConfig({ cwd: project.root });
   } catch (err) {
-    console.error(err.message);
-    process.exit(1);
-  }
-  if (config.mode === "warn") {
-    console.log(`⚠️ ${pkg} will use/install without user confirmation. You will use this package at your own risk.`);
-    confirm = "--yes"
-  } else if (config.mode === "off") {
-    confirm = "--yes"
+    failWith(err);
+  }
+  if (route.registry) config.registry = route.registry;
+  // The npm options Guardian has no equivalent for reach the npm it runs as npm_config_* settings
+  for (const [key, value] of Object.entries(route.npmConfig || {})) {
+    process.env[`npm_config_${key.replace(/-/g, "_")}`] = value;
+  }
+  if (config.configFile) info(`⚙️  Configuration loaded from ${config.configFile}`);
+  info(`🛡️  ${argv.tool} ${args.join(" ")} is checked by Guardian`);
+  // npm installs into the workspace it is run from
+  const workspace = route.workspace && route.workspace.length === 0 && !route.workspaces && project.workspace ? [project.workspace] : route.workspace;
+  const options = { packages: route.packages, dev: route.dev, exact: route.exact, "dry-run": route.dryRun, workspace, workspaces: route.workspaces };
+
+  if (route.command === "install") {
+    await Install(options);
+  } else if (route.command === "update") {
+    await Update({ ...options, all: true });
+  } else if (route.command === "use") {
+    await runNPX({ package: route.package, bin: route.bin, args: route.args });
   } else {
-    confirm = ""
+    // The lockfile is checked, then installed by npm as usual
+    if (existsSync(path.join(project.root, "package-lock.json"))) {
+      await runCheck({});
+    } else {
+      console.warn("⚠️  No package-lock.json to check: npm resolves the dependencies unchecked.");
+    }
+    passThrough(argv.tool, args, cwd);
   }
+}
 
-  const args = argv.args ? argv.args.join(" ") : "";
-
+// Install name@version into its own directory of the cache, with npm whatever the
+// project uses, after the same checks as guardian install. What runs is then exactly
+// the tree that was checked.
+async function installForUse(name, version, excluded, result) {
+  const installSpec = `${name}@${version}`;
+  const dir = getUseDir(name, version, config);
+  const save = { saveType: "prod", prefix: "" };
+  const rootConfig = config;
+  // Nothing ran these install scripts before, so they are reported even when scriptsMode ignores them
+  config = {
+    ...config,
+    cwd: dir,
+    // A relative cacheDir stays relative to the project
+    cacheDir: getCacheDir(config),
+    workspace: null,
+    packageManager: "npm",
+    scriptsMode: config.scriptsMode === "ignore" ? "warn" : config.scriptsMode,
+  };
+  packageManager = null;
   try {
-    execSync(`npx ${confirm} ${safePkg} ${args} --silent`, { stdio: "inherit" });
+    prepareUseDir(dir, rootConfig);
+    const pm = getPackageManager();
+    if (excluded) {
+      pm.run(pm.install(installSpec, save));
+    } else {
+      await checkReleaseRisk(name, version, result, { typosquat: true });
+      const approvedScripts = await guardTransitiveTree(installSpec, save, result);
+      installWithScriptsPolicy(installSpec, save, approvedScripts);
+    }
+  } catch (err) {
+    rmSync(dir, { recursive: true, force: true });
+    throw err;
+  } finally {
+    config = rootConfig;
+    packageManager = null;
+  }
+  return dir;
+}
 
+// Check the tree of a run approved before against the advisories published since
+async function auditApprovedRun(dir, installSpec, result) {
+  if (config.mode === "off") return;
+  let vulnerable;
+  try {
+    vulnerable = await findVulnerablePackages(getLockedPackages(readLockfile(dir)), config);
   } catch (err) {
+    rethrowAdvisoryError(err, config);
+    console.warn(`⚠️ Could not check advisories for ${installSpec}: ${err.message}`);
+    addFinding(result, "vulnerabilities", "note", `Could not check advisories: ${err.message}`);
+    return;
+  }
+  if (vulnerable.length === 0) return;
+  for (const { name, version, advisories } of vulnerable) {
+    console.error(`🚨 Vulnerabilities found in ${name}@${version}, required by ${installSpec}:`);
+    reportAdvisories(advisories);
+    addVulnerabilities(result, name, version, advisories);
+  }
+  const highestSeverity = Math.max(...vulnerable.flatMap((v) => v.advisories.map((advisory) => getSeverityValue(advisory.severity))));
+  if (config.mode === "block" && highestSeverity >= 3) {
+    throw new PolicyError(`For security, ${installSpec} was not run. Reason: its dependency tree has high or critical vulnerabilities. Run with --refresh to pick another version.`, "vulnerabilities", vulnerable);
+  }
+  addFinding(result, "vulnerabilities", "warning", "The dependency tree has known vulnerabilities");
+  if (config.mode === "warn") console.warn("⚠️ Running anyway due to 'warn' mode.");
+}
 
-    if (err.status === 1) {
-      console.error(`❌ Installation/use of ${basePkg} was canceled (user or process canceled it).`);
-    } else if (err.stderr) {
-      console.error(`❌ Installation/use of ${basePkg} failed.`);
-    } else {
-      console.error(`❌ Installation/use of ${basePkg} was canceled due to an unknown error.`);
+// The approved version of `spec` and the directory it is installed in, checking and
+// installing it first when it was not approved yet or its directory is gone
+async function prepareRun(spec, approved, result) {
+  if (approved) {
+    const { name, version } = approved;
+    info(`✅ Using ${name}@${version}, approved on ${approved.approvedAt.slice(0, 10)}. Run with --refresh to resolve ${spec} again.`);
+    result.version = version;
+    const dir = getUseDir(name, version, config);
+    if (existsSync(path.join(dir, "package-lock.json"))) {
+      await auditApprovedRun(dir, `${name}@${version}`, result);
+      return { name, version, dir };
     }
+    // The cache was cleared: the approved version is checked and installed again
+    await resolveVersion(`${name}@${version}`, result);
+    return { name, version, dir: await installForUse(name, version, false, result) };
+  }
+
+  const resolved = await resolveVersion(spec, result);
+  const { name, excluded } = resolved;
+  let version = resolved.version;
+  if (excluded) {
+    version = semver.rsort(getMatchingVersions(await fetchPackageMeta(name, config), resolved.range))[0];
+    if (!version) fail(EXIT.config, `No version of ${name} satisfies "${resolved.range}"`);
+    info(`⚠️  ${name} is excluded from restrictions${describeExclusion(name)}. Running ${name}@${version} without validation.`);
+    result.version = version;
+  } else {
+    info(`✅ Resolved version: ${name}@${version} (published ${resolved.ageDays} days ago)`);
+  }
+  const dir = await installForUse(name, version, excluded, result);
+  // Excluded packages were not checked, so they are resolved again on every run
+  if (!excluded) {
+    recordApprovedRun(spec, { name, version }, config);
+    info(`📌 ${name}@${version} is approved for "guardian use ${spec}"`);
+  }
+  return { name, version, dir };
+}
 
-    process.exit(1);
+async function runNPX(argv) {
+  applyMinAge(argv);
+  const spec = argv.package;
+  const result = newResult(spec);
+  const approved = argv.refresh ? null : getApprovedRun(spec, config);
+  if (!argv.refresh && !approved && readUseAllowlist(config)[spec]) {
+    info(`⚠️  ${spec} was approved under another policy (a different project or configuration), so it is checked again.`);
+  }
+  let run;
+  try {
+    run = await prepareRun(spec, approved, result);
+  } catch (err) {
+    markFailed(result, err);
+    throw err;
   }
+
+  const { name, version, dir } = run;
+  const bin = findPackageBin(dir, name, argv.bin);
+  result.action = "executed";
+  // In json and sarif formats stdout carries the report, so the executable writes to stderr
+  const stdio = format === "text" ? "inherit" : ["inherit", 2, "inherit"];
+  const { status, error } = spawnSync(bin, argv.args || [], { stdio });
+  if (error) fail(EXIT.failure, `Could not run ${name}@${version}: ${error.message}`);
+  // The executable's own exit code is passed on, as npx does
+  exit(status === null ? EXIT.failure : status);
 }
\ No newline at end of file
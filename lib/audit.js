@@ -0,0 +1,153 @@
+import { GuardianError, RegistryError } from "./errors.js";
+import { createPackageManager } from "./packageManagers.js";
+
+const severityObj = {
+  low: 1,
+  moderate: 2,
+  high: 3,
+  critical: 4
+};
+
+export function getSeverityValue(level) {
+  return severityObj[level] || 1;
+}
+
+// Every backend's audit output is normalized to one report:
+// { [name]: { name, severity, advisories: [{ title, severity, url }], via: [dependencyName] } }
+function addAuditEntry(report, name, { advisory, via, severity }) {
+  const entry = report[name] || (report[name] = { name, severity: "low", advisories: [], via: [] });
+  if (advisory) entry.advisories.push(advisory);
+  if (via && !entry.via.includes(via)) entry.via.push(via);
+  if (getSeverityValue(severity) > getSeverityValue(entry.severity)) entry.severity = severity;
+}
+
+export function parseNpmAudit(output) {
+  const audit = JSON.parse(output);
+  if (audit.error) throw new Error(audit.error.summary || audit.message || "npm audit failed");
+  const report = {};
+  for (const [name, vuln] of Object.entries(audit.vulnerabilities || {})) {
+    addAuditEntry(report, name, { severity: vuln.severity });
+    for (const issue of vuln.via || []) {
+      if (typeof issue === "object") {
+        addAuditEntry(report, name, { advisory: { title: issue.title, severity: issue.severity, url: issue.url }, severity: issue.severity });
+      } else {
+        addAuditEntry(report, name, { via: issue, severity: vuln.severity });
+      }
+    }
+  }
+  return report;
+}
+
+// pnpm (and the npm v6 format): advisories keyed by id, with ">"-separated install paths
+export function parseAdvisoryAudit(output) {
+  const audit = JSON.parse(output);
+  const report = {};
+  for (const advisory of Object.values(audit.advisories || {})) {
+    addAdvisory(report, advisory, (advisory.findings || []).flatMap((finding) => finding.paths || []));
+  }
+  return report;
+}
+
+function addAdvisory(report, advisory, paths) {
+  const { module_name: name, severity, title, url } = advisory;
+  addAuditEntry(report, name, { advisory: { title, severity, url }, severity });
+  for (const installPath of paths) {
+    const topLevel = installPath.split(">").filter((segment) => segment && segment !== ".")[0];
+    if (topLevel && topLevel !== name) addAuditEntry(report, topLevel, { via: name, severity });
+  }
+}
+
+// Yarn 1 prints one JSON object per line
+export function parseYarnClassicAudit(output) {
+  const report = {};
+  for (const line of output.split("\n")) {
+    if (!line.trim()) continue;
+    const event = JSON.parse(line);
+    if (event.type !== "auditAdvisory") continue;
+    addAdvisory(report, event.data.advisory, [event.data.resolution.path]);
+  }
+  return report;
+}
+
+// Yarn 2+ prints one JSON object per line in v4, and an npm v6 style object before that
+export function parseYarnBerryAudit(output) {
+  const trimmed = output.trim();
+  if (!trimmed) return {};
+  if (trimmed.startsWith("{") && !trimmed.includes("\n")) {
+    const audit = JSON.parse(trimmed);
+    if (audit.advisories) return parseAdvisoryAudit(trimmed);
+  }
+  const report = {};
+  for (const line of trimmed.split("\n")) {
+    if (!line.trim()) continue;
+    const { value: name, children } = JSON.parse(line);
+    if (!children) continue;
+    const severity = (children.Severity || "").toLowerCase();
+    addAuditEntry(report, name, { advisory: { title: children.Issue, severity, url: children.URL }, severity });
+    for (const dependent of children.Dependents || []) {
+      const dependentName = dependent.slice(0, dependent.indexOf("@", 1));
+      addAuditEntry(report, dependentName, { via: name, severity });
+    }
+  }
+  return report;
+}
+
+export function parseBunAudit(output) {
+  const audit = JSON.parse(output);
+  const report = {};
+  for (const [name, advisories] of Object.entries(audit)) {
+    if (!Array.isArray(advisories)) continue;
+    for (const { title, severity, url } of advisories) {
+      addAuditEntry(report, name, { advisory: { title, severity, url }, severity });
+    }
+  }
+  return report;
+}
+
+const auditParsers = {
+  npm: parseNpmAudit,
+  pnpm: parseAdvisoryAudit,
+  yarn: parseYarnClassicAudit,
+  "yarn-berry": parseYarnBerryAudit,
+  bun: parseBunAudit,
+};
+
+/**
+ * Run the project's package manager audit and return the normalized report. Audits
+ * need the registry, so this throws a RegistryError in offline mode.
+ */
+export function runAuditCommand(config) {
+  if (config.offline) throw new RegistryError("Cannot run an audit in offline mode");
+  const pm = createPackageManager(config);
+  let output;
+  try {
+    output = pm.run(pm.audit(), { encoding: "utf8", stdio: "pipe" });
+  } catch (err) {
+    // Audit commands exit non-zero when they find vulnerabilities
+    if (!err.stdout) throw err;
+    output = err.stdout.toString();
+  }
+  return auditParsers[pm.name](output);
+}
+
+/**
+ * Audit the installed `pkg`. Resolves to null when it has no known vulnerabilities,
+ * or to its report entry with `blocked` set when block mode refuses to keep it.
+ */
+export async function checkVulnerabilities(pkg, config) {
+  let report;
+  try {
+    report = runAuditCommand(config);
+  } catch (err) {
+    if (err instanceof GuardianError) throw err;
+    throw new RegistryError(`Could not audit ${pkg}: ${err.message}`);
+  }
+
+  const vuln = report[pkg];
+  if (!vuln) return null;
+  const highestSeverity = Math.max(
+    getSeverityValue(vuln.severity),
+    ...vuln.advisories.map((issue) => getSeverityValue(issue.severity))
+  );
+  return { ...vuln, blocked: config.mode === "block" && highestSeverity >= 3 };
+}
@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from "fs";
+import path from "path";
+import os from "os";
+
+/**
+ * The directory Guardian caches registry metadata in: `config.cacheDir` (relative to
+ * `config.cwd`), or "guardian" in $XDG_CACHE_HOME or ~/.cache.
+ */
+export function getCacheDir(config) {
+  if (config.cacheDir) return path.resolve(config.cwd || process.cwd(), config.cacheDir);
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "guardian");
+}
+
+function getEntryPath(key, config) {
+  const hash = crypto.createHash("sha256").update(key).digest("hex");
+  return path.join(getCacheDir(config), "metadata", `${hash}.json`);
+}
+
+/**
+ * The cached entry stored under `key`, or null. An unreadable entry is a cache miss.
+ */
+export function readCacheEntry(key, config) {
+  try {
+    return JSON.parse(readFileSync(getEntryPath(key, config), "utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Store `entry` under `key`. The cache is only an optimization, so failing to write it
+ * is ignored. Entries are renamed into place, so concurrent runs never read half of one.
+ */
+export function writeCacheEntry(key, entry, config) {
+  const file = getEntryPath(key, config);
+  const temporary = `${file}.${process.pid}.tmp`;
+  try {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(temporary, JSON.stringify(entry));
+    renameSync(temporary, file);
+  } catch (_) {
+    // Read-only or full disk: the next run fetches again
+  }
+}
@@ -0,0 +1,233 @@
+import { readFileSync, existsSync } from "fs";
+import path from "path";
+import { createRequire } from "module";
+import Ajv from "ajv";
+import { ConfigError } from "./errors.js";
+import { loadNpmrc } from "./registry.js";
+import { editDistance } from "./risk.js";
+
+const require = createRequire(import.meta.url);
+// Published with the package, so editors can validate guardian.config.json too
+export const configSchema = require("../guardian.schema.json");
+const validateSchema = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true }).compile(configSchema);
+
+export const defaultConfig = {
+  minAge: 0,
+  mode: "block",
+  exclude: [],
+  exactInstall: false,
+  transitive: "block",
+  allowScripts: [],
+  scriptsMode: "ignore",
+  riskMode: "warn",
+  verifySignatures: false,
+  requireProvenance: [],
+  allowSecurityFixes: false,
+  allowAdvisoryErrors: false,
+  licenses: { allow: [], deny: [] },
+  offline: false,
+  concurrency: 8,
+  fetchRetries: 2,
+  fetchTimeout: 30000,
+  rules: []
+};
+
+export const configFiles = ["guardian.config.json", ".guardianrc.json"];
+export const validModes = ["block", "warn", "off"];
+export const validTransitiveModes = ["block", "pin", "warn", "off"];
+export const validScriptsModes = ["block", "warn", "ignore"];
+export const validRiskModes = ["block", "warn", "off"];
+export const validUpdateTargets = ["patch", "minor", "major", "latest"];
+export const validPackageManagers = ["npm", "pnpm", "yarn", "bun"];
+
+/**
+ * Parse a minimum age ("30", "1d", "2w", "1m", "24h", "24hs") into days.
+ */
+export function parseMinAge(input) {
+  if (typeof input === "number") return input;
+  if (/^\d+$/.test(input)) return parseInt(input, 10);
+  const match = input.match(/^(\d+)(d|w|m|h|hs)$/i);
+  if (!match) throw new ConfigError(`Invalid format for minAge: ${input}`);
+  const value = parseInt(match[1], 10);
+  const unit = match[2].toLowerCase();
+  switch (unit) {
+    case "d": return value;
+    case "w": return value * 7;
+    case "m": return value * 30;
+    case "h": return value / 24;
+    case "hs": return value / 24;
+    default: throw new ConfigError(`Unsupported unit for minAge: ${unit}`);
+  }
+}
+
+// Turn Ajv errors into one line per problem, naming options the way users write them
+function describeSchemaErrors(errors) {
+  const known = Object.keys(configSchema.properties);
+  const problems = [];
+  for (const error of errors) {
+    const where = error.instancePath.slice(1).replace(/\/(\d+)/g, "[$1]").replace(/\//g, ".") || "configuration";
+    let problem;
+    if (error.keyword === "additionalProperties") {
+      const key = error.params.additionalProperty;
+      const suggestion = error.instancePath ? null : known.find((option) => editDistance(key.toLowerCase(), option.toLowerCase()) <= 2);
+      problem = `Unknown option "${key}"${error.instancePath ? ` in ${where}` : ""}${suggestion ? `. Did you mean "${suggestion}"?` : ""}`;
+    } else if (error.keyword === "enum") {
+      problem = `Invalid ${where}: ${JSON.stringify(error.data)}. Valid options are: ${error.params.allowedValues.join(", ")}`;
+    } else if (error.keyword === "required") {
+      problem = `${where} is missing "${error.params.missingProperty}"`;
+    } else if (error.keyword === "pattern" && error.parentSchema.description) {
+      problem = `Invalid ${where}: ${JSON.stringify(error.data)}. Expected ${error.parentSchema.description.replace(/^./, (c) => c.toLowerCase())}`;
+    } else {
+      problem = `Invalid ${where}: ${error.message}`;
+    }
+    if (!problems.includes(problem)) problems.push(problem);
+  }
+  return problems;
+}
+
+function assertSchema(options, label) {
+  if (validateSchema(options)) return;
+  const problems = describeSchemaErrors(validateSchema.errors);
+  throw new ConfigError(`Invalid ${label}:\n${problems.map((problem) => ` - ${problem}`).join("\n")}`);
+}
+
+// "2026-02-30" matches the schema's pattern but is no day of the calendar
+function isCalendarDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Validate the options of `config` against guardian.schema.json and throw a ConfigError
+ * listing every problem. Keys the schema does not know (cwd, npmrc, ...) are ignored
+ * here: config files are checked for unknown options when they are loaded. `expires`
+ * dates of `exclude` entries must also be real days, since an unreadable one would
+ * never expire.
+ */
+export function validateConfig(config) {
+  const options = Object.fromEntries(Object.entries(config).filter(([key]) => key in configSchema.properties));
+  assertSchema(options, "configuration");
+  const problems = (config.exclude || [])
+    .map((entry, i) => (typeof entry === "object" && !isCalendarDate(entry.expires) ? `Invalid exclude[${i}].expires: ${JSON.stringify(entry.expires)} is not a calendar date` : null))
+    .filter(Boolean);
+  if (problems.length > 0) throw new ConfigError(`Invalid configuration:\n${problems.map((problem) => ` - ${problem}`).join("\n")}`);
+  return config;
+}
+
+// Minimum ages are kept in days once loaded
+function normalizeConfig(config) {
+  return {
+    ...config,
+    minAge: parseMinAge(config.minAge),
+    rules: (config.rules || []).map((rule) => (rule.minAge === undefined ? rule : { ...rule, minAge: parseMinAge(rule.minAge) })),
+  };
+}
+
+function toPatterns(match) {
+  return Array.isArray(match) ? match : [match];
+}
+
+/**
+ * Whether `name` matches one of `patterns`: exact names or globs such as "@scope/*".
+ */
+export function matchesPackagePattern(name, patterns) {
+  return patterns.some((pattern) => {
+    const source = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`).test(name);
+  });
+}
+
+// `exclude` entries as { match, reason, expires }, plain names being permanent
+function getExclusions(config) {
+  return (config.exclude || []).map((entry) => (typeof entry === "string" ? { match: entry, reason: null, expires: null } : entry));
+}
+
+function isExpired(exclusion) {
+  return Boolean(exclusion.expires) && exclusion.expires < new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * The `exclude` entry that exempts `name` from the policies, as { match, reason, expires },
+ * or null. An entry stops applying the day after its `expires` date.
+ */
+export function getExclusion(name, config) {
+  return getExclusions(config).find((exclusion) => !isExpired(exclusion) && matchesPackagePattern(name, toPatterns(exclusion.match))) || null;
+}
+
+export function isExcluded(name, config) {
+  return getExclusion(name, config) !== null;
+}
+
+/**
+ * The `exclude` entries whose `expires` date has passed.
+ */
+export function getExpiredExclusions(config) {
+  return getExclusions(config).filter(isExpired);
+}
+
+/**
+ * The `exclude` entries given as plain names: permanent exceptions without a reason or
+ * an expiry date.
+ */
+export function getPermanentExclusions(config) {
+  return (config.exclude || []).filter((entry) => typeof entry === "string");
+}
+
+/**
+ * The minimum age in days for `name`: that of the last rule matching it with a
+ * `minAge`, or `config.minAge`.
+ */
+export function getMinAge(name, config) {
+  const rule = (config.rules || []).filter((r) => r.minAge !== undefined && matchesPackagePattern(name, toPatterns(r.match))).pop();
+  return rule ? rule.minAge : config.minAge || 0;
+}
+
+// The first config file found in `dir`, as { options, file }
+function readConfigFile(dir) {
+  for (const file of configFiles) {
+    const fullPath = path.join(dir, file);
+    if (!existsSync(fullPath)) continue;
+    try {
+      return { options: JSON.parse(readFileSync(fullPath, "utf8")), file };
+    } catch (err) {
+      throw new ConfigError(`Error reading ${file}: ${err.message}`);
+    }
+  }
+  return { options: {}, file: null };
+}
+
+/**
+ * Load the configuration of the project in `cwd`: the defaults, then the first config
+ * file found, then `overrides`. The result also carries `cwd`, the parsed `.npmrc`
+ * settings and the name of the loaded file (`configFile`, or null), and is what every
+ * other function of the library expects as its `config` argument.
+ */
+export function loadConfig({ cwd = process.cwd(), overrides = {} } = {}) {
+  const { options, file } = readConfigFile(cwd);
+  if (file) assertSchema(options, file);
+  const config = normalizeConfig({ ...defaultConfig, ...options, ...overrides });
+  return validateConfig({ ...config, cwd, npmrc: loadNpmrc(cwd), configFile: file });
+}
+
+/**
+ * The configuration of a workspace (from listWorkspaces): the root `config` with the
+ * workspace's own config file and then `overrides` on top. `cwd`, `.npmrc` settings,
+ * `registry`, `packageManager`, `cacheDir` and `offline` stay those of the root, and
+ * `workspace` is set so that installs run in the workspace and read its package.json.
+ */
+export function loadWorkspaceConfig(config, workspace, overrides = {}) {
+  const { options, file } = readConfigFile(workspace.dir);
+  if (file) assertSchema(options, path.posix.join(workspace.location, file));
+  const merged = normalizeConfig({ ...config, ...options, ...overrides });
+  return validateConfig({
+    ...merged,
+    cwd: config.cwd,
+    npmrc: config.npmrc,
+    registry: config.registry,
+    packageManager: config.packageManager,
+    cacheDir: config.cacheDir,
+    offline: config.offline,
+    configFile: file ? path.posix.join(workspace.location, file) : config.configFile,
+    workspace: { name: workspace.name, location: workspace.location, dir: workspace.dir },
+  });
+}
@@ -0,0 +1,97 @@
+import { execFileSync } from "child_process";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import semver from "semver";
+import { ConfigError } from "./errors.js";
+import { getLockedPackages } from "./project.js";
+import { isDirectDependency } from "./tree.js";
+
+function parseLockfile(text, label) {
+  let lock;
+  try {
+    lock = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Error reading ${label}: ${err.message}`);
+  }
+  if (!lock.packages) {
+    throw new ConfigError(`Unsupported lockfileVersion ${lock.lockfileVersion} in ${label}. Only package-lock.json v2 and v3 are supported.`);
+  }
+  return lock;
+}
+
+/**
+ * Read the package-lock.json a change is compared with: the file `base` when it exists
+ * (relative to `config.cwd`), or the project's package-lock.json at git revision `base`.
+ * A revision without a lockfile reads as an empty one. Throws a ConfigError when `base`
+ * is neither.
+ */
+export function readBaseLockfile(base, config) {
+  const file = path.resolve(config.cwd, base);
+  if (existsSync(file)) return parseLockfile(readFileSync(file, "utf8"), base);
+
+  let text;
+  try {
+    text = execFileSync("git", ["show", `${base}:./package-lock.json`], {
+      cwd: config.cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      maxBuffer: 512 * 1024 * 1024,
+    });
+  } catch (err) {
+    const stderr = (err.stderr || "").toString();
+    if (/does not exist in|exists on disk, but not in/.test(stderr)) return { lockfileVersion: 3, packages: {} };
+    const reason = stderr.split("\n")[0] || err.message;
+    throw new ConfigError(`${base} is neither a lockfile nor a git revision with a package-lock.json: ${reason}`);
+  }
+  return parseLockfile(text, `package-lock.json at ${base}`);
+}
+
+// Locked versions by name, each list sorted
+function getVersionsByName(lock) {
+  const versions = {};
+  for (const { name, version } of getLockedPackages(lock)) {
+    versions[name] = [...new Set([...(versions[name] || []), version])];
+  }
+  for (const name of Object.keys(versions)) versions[name] = semver.sort(versions[name]);
+  return versions;
+}
+
+// Whether the root or a workspace of `lock` declares `name`
+function isDeclared(name, lock) {
+  return Object.keys(lock.packages).some((location) => !location.includes("node_modules/") && isDirectDependency(name, lock, location));
+}
+
+/**
+ * Compare two package-lock.json files, transitive dependencies included. Returns
+ * [{ name, change, from, to, direct }] sorted by name: `change` is "added", "removed",
+ * "upgraded", "downgraded" or "changed" (same newest version, but copies of other
+ * versions were added or removed), `from` and `to` the versions locked before and after,
+ * and `direct` whether the root or a workspace declares the package.
+ */
+export function diffLockfiles(base, head) {
+  const before = getVersionsByName(base);
+  const after = getVersionsByName(head);
+  const changes = [];
+  for (const name of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+    const from = before[name] || [];
+    const to = after[name] || [];
+    if (from.join() === to.join()) continue;
+    let change;
+    if (from.length === 0) change = "added";
+    else if (to.length === 0) change = "removed";
+    else if (semver.gt(to[to.length - 1], from[from.length - 1])) change = "upgraded";
+    else if (semver.lt(to[to.length - 1], from[from.length - 1])) change = "downgraded";
+    else change = "changed";
+    changes.push({ name, change, from, to, direct: isDeclared(name, to.length > 0 ? head : base) });
+  }
+  return changes;
+}
+
+/**
+ * The locked packages of `head` whose name and version `base` does not have, in the
+ * getLockedPackages shape: what the change introduces and the policies should check.
+ */
+export function getIntroducedPackages(base, head) {
+  const existing = new Set(getLockedPackages(base).map(({ name, version }) => `${name}@${version}`));
+  return getLockedPackages(head).filter(({ name, version }) => !existing.has(`${name}@${version}`));
+}
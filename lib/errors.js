@@ -0,0 +1,37 @@
+// Every error thrown by the library is a GuardianError. `code` tells the kind of
+// failure apart without matching on messages.
+export class GuardianError extends Error {
+  constructor(message, code = "EGUARDIAN") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Invalid configuration, .npmrc or project files
+export class ConfigError extends GuardianError {
+  constructor(message) {
+    super(message, "ECONFIG");
+  }
+}
+
+// The registry could not be reached or answered with an error. `status` is the HTTP
+// status when there was a response.
+export class RegistryError extends GuardianError {
+  constructor(message, status = null) {
+    super(message, "EREGISTRY");
+    this.status = status;
+  }
+}
+
+// A package or tree was refused by the configured policy. `policy` names the policy
+// ("minAge", "transitive", "vulnerabilities", "installScripts", "releaseRisk",
+// "signatures", "provenance" or "licenses") and `violations` lists what was refused, in
+// the same shape the check that raised it returns.
+export class PolicyError extends GuardianError {
+  constructor(message, policy, violations = []) {
+    super(message, "EPOLICY");
+    this.policy = policy;
+    this.violations = violations;
+  }
+}
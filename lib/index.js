@@ -0,0 +1,97 @@
+// Library entry point. Every function takes the config returned by loadConfig (or a
+// copy of it with some options changed), returns structured results or throws a
+// GuardianError, and never prints or exits.
+export { GuardianError, ConfigError, RegistryError, PolicyError } from "./errors.js";
+export {
+  defaultConfig,
+  loadConfig,
+  loadWorkspaceConfig,
+  validateConfig,
+  configSchema,
+  parseMinAge,
+  matchesPackagePattern,
+  getExclusion,
+  isExcluded,
+  getExpiredExclusions,
+  getPermanentExclusions,
+  getMinAge,
+  validModes,
+  validTransitiveModes,
+  validScriptsModes,
+  validRiskModes,
+  validUpdateTargets,
+  validPackageManagers,
+} from "./config.js";
+export {
+  DEFAULT_REGISTRY,
+  loadNpmrc,
+  parseNpmrc,
+  getRegistryUrl,
+  getAuthHeaders,
+  registryFetch,
+  fetchPackageMeta,
+  fetchFullPackageMeta,
+  prefetchPackageMeta,
+  prefetchFullPackageMeta,
+  fetchAdvisories,
+  getAffectingAdvisories,
+  rethrowAdvisoryError,
+} from "./registry.js";
+export { getCacheDir, readCacheEntry, writeCacheEntry } from "./cache.js";
+export {
+  splitPkgSpec,
+  isRegistrySpec,
+  getAgeDays,
+  getEligibleDate,
+  getMatchingVersions,
+  getEligibleVersions,
+  selectCandidates,
+  getUpdateRange,
+  findSafeVersion,
+  findSecurityFix,
+  resolveSafeVersion,
+} from "./versions.js";
+export {
+  findYoungPackages,
+  findPinnableVersion,
+  isDirectDependency,
+  findInstallScripts,
+  findVulnerablePackages,
+  checkTree,
+} from "./tree.js";
+export { getSeverityValue, runAuditCommand, checkVulnerabilities } from "./audit.js";
+export { findTyposquatTarget, analyzeReleaseRisk, compareReleases, getPreviousRelease } from "./risk.js";
+export { readBaseLockfile, diffLockfiles, getIntroducedPackages } from "./diff.js";
+export {
+  getPurl,
+  fetchRegistryKeys,
+  verifyRegistrySignature,
+  verifyProvenance,
+  verifyPackages,
+} from "./signatures.js";
+export { getDeclaredLicense, checkLicense, findLicenseViolations } from "./licenses.js";
+export { planPackage, planUpdate, getUpdateSkipReason } from "./plan.js";
+export { checkOutdated } from "./outdated.js";
+export { toSarif } from "./sarif.js";
+export { collectSbom, toCycloneDx, toSpdx } from "./sbom.js";
+export { detectPackageManager, createPackageManager } from "./packageManagers.js";
+export {
+  dependencySections,
+  readDeclaredDependencies,
+  getPackageDir,
+  getInstalledVersion,
+  readLockfile,
+  getLockedPackages,
+  writeOverrides,
+} from "./project.js";
+export { readWorkspacePatterns, listWorkspaces, selectWorkspaces } from "./workspaces.js";
+export {
+  DEFAULT_SHIM_DIR,
+  shimTools,
+  installShims,
+  uninstallShims,
+  isShimActive,
+  findShimProject,
+  routeShimCommand,
+} from "./shim.js";
+export { getUseDir, prepareUseDir, readUseAllowlist, getUsePolicyHash, getApprovedRun, recordApprovedRun, findPackageBin } from "./use.js";
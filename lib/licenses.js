@@ -0,0 +1,74 @@
+import parseSpdx from "spdx-expression-parse";
+import { fetchFullPackageMeta, prefetchFullPackageMeta } from "./registry.js";
+import { matchesPackagePattern, isExcluded } from "./config.js";
+
+/**
+ * The license a version manifest declares, as an SPDX expression, or null. The legacy
+ * `{ type }` object and `licenses` array forms are converted, an array meaning any of
+ * its licenses may be chosen.
+ */
+export function getDeclaredLicense(manifest) {
+  if (!manifest) return null;
+  const toExpression = (entry) => (typeof entry === "string" ? entry : entry && entry.type) || null;
+  if (manifest.license) return toExpression(manifest.license);
+  const licenses = (Array.isArray(manifest.licenses) ? manifest.licenses : []).map(toExpression).filter(Boolean);
+  if (licenses.length === 0) return null;
+  return licenses.length === 1 ? licenses[0] : `(${licenses.join(" OR ")})`;
+}
+
+// A parsed expression is acceptable when one side of each OR, and both sides of each
+// AND, are. A license is acceptable when `deny` does not match it and `allow` is empty
+// or matches it.
+function isAcceptable(node, allow, deny) {
+  if (node.conjunction === "or") return isAcceptable(node.left, allow, deny) || isAcceptable(node.right, allow, deny);
+  if (node.conjunction === "and") return isAcceptable(node.left, allow, deny) && isAcceptable(node.right, allow, deny);
+  if (matchesPackagePattern(node.license, deny)) return false;
+  return allow.length === 0 || matchesPackagePattern(node.license, allow);
+}
+
+/**
+ * Check an SPDX license expression against `config.licenses` ({ allow, deny }, lists of
+ * SPDX identifiers or globs such as "GPL-*"). Returns null when it is acceptable, or
+ * { message, unknown }, `unknown` being true when there is no license or it is not a
+ * valid SPDX expression ("UNLICENSED", "SEE LICENSE IN ...").
+ */
+export function checkLicense(license, config) {
+  const { allow = [], deny = [] } = config.licenses || {};
+  if (!license) return { message: "declares no license", unknown: true };
+  let expression;
+  try {
+    expression = parseSpdx(license);
+  } catch (_) {
+    return { message: `has a license that is not a valid SPDX expression: ${license}`, unknown: true };
+  }
+  if (isAcceptable(expression, allow, deny)) return null;
+  return { message: `is licensed under ${license}, which the license policy does not allow`, unknown: false };
+}
+
+/**
+ * Check the licenses of `lockedPackages` ([{ name, version }]) against `config.licenses`.
+ * Resolves to [{ name, version, license, message, unknown, refused }] for the packages
+ * that fail, read from their full packuments. Unknown or missing licenses are always
+ * listed, but only `refused` when `allow` is set, since a deny list alone cannot tell
+ * them apart from acceptable ones.
+ */
+export async function findLicenseViolations(lockedPackages, config) {
+  const { allow = [], deny = [] } = config.licenses || {};
+  if (allow.length === 0 && deny.length === 0) return [];
+
+  await prefetchFullPackageMeta(lockedPackages.filter(({ name }) => !isExcluded(name, config)).map(({ name }) => name), config);
+  const violations = [];
+  const seen = new Set();
+  for (const { name, version } of lockedPackages) {
+    const key = `${name}@${version}`;
+    if (seen.has(key) || isExcluded(name, config)) continue;
+    seen.add(key);
+    const meta = await fetchFullPackageMeta(name, config);
+    if (!meta.versions[version]) continue;
+    const license = getDeclaredLicense(meta.versions[version]);
+    const problem = checkLicense(license, config);
+    if (!problem) continue;
+    violations.push({ name, version, license, ...problem, refused: !problem.unknown || allow.length > 0 });
+  }
+  return violations;
+}
@@ -0,0 +1,58 @@
+import semver from "semver";
+import { fetchPackageMeta } from "./registry.js";
+import { getAgeDays, getEligibleDate, selectCandidates } from "./versions.js";
+import { getInstalledVersion, getPackageDir } from "./project.js";
+import { isExcluded, getMinAge } from "./config.js";
+
+/**
+ * Compare a dependency returned by readDeclaredDependencies with what its minimum age
+ * allows. Resolves to { name, range, section, current, currentPublished, currentAgeDays,
+ * currentTooYoung, allowed, latest, eligibleAt, minAge, excluded, error }: `allowed` is
+ * the newest version old enough (picked by selectCandidates, before advisories are
+ * checked), `latest` the newest version overall, `eligibleAt` the ISO date `latest`
+ * becomes old enough (null when it already is) and `currentTooYoung` whether the
+ * installed version is itself younger than the minimum age. Dependencies declared with a dist-tag follow that tag,
+ * every other one `latest`. `error` is set when the registry lookup failed.
+ */
+export async function checkOutdated(dependency, config) {
+  const { name, range, section } = dependency;
+  const excluded = isExcluded(name, config);
+  const row = {
+    name,
+    range,
+    section,
+    current: getInstalledVersion(name, config.cwd, getPackageDir(config)),
+    currentPublished: null,
+    currentAgeDays: null,
+    currentTooYoung: false,
+    allowed: null,
+    latest: null,
+    eligibleAt: null,
+    minAge: excluded ? 0 : getMinAge(name, config),
+    excluded,
+    error: null,
+  };
+
+  let meta;
+  try {
+    meta = await fetchPackageMeta(name, config);
+  } catch (err) {
+    row.error = err.message;
+    return row;
+  }
+
+  const distTags = meta["dist-tags"] || {};
+  const spec = !semver.validRange(range) && distTags[range] ? range : null;
+  const { matching, candidates } = selectCandidates(meta, spec, row.minAge);
+  row.latest = matching.length > 0 ? semver.rsort([...matching])[0] : null;
+  row.allowed = candidates.length > 0 ? semver.rsort([...candidates])[0] : null;
+  if (row.latest && getAgeDays(meta.time[row.latest]) < row.minAge) {
+    row.eligibleAt = getEligibleDate(meta.time[row.latest], row.minAge);
+  }
+  if (row.current && meta.time && meta.time[row.current]) {
+    row.currentPublished = meta.time[row.current];
+    row.currentAgeDays = getAgeDays(row.currentPublished);
+    row.currentTooYoung = row.currentAgeDays < row.minAge;
+  }
+  return row;
+}
@@ -0,0 +1,136 @@
+import { execSync } from "child_process";
+import { readFileSync, existsSync } from "fs";
+import path from "path";
+import semver from "semver";
+import { ConfigError } from "./errors.js";
+import { validPackageManagers } from "./config.js";
+
+// How each package manager saves to a dependency section and with which range prefix
+const npmSaveFlags = { dev: " --save-dev", optional: " --save-optional", peer: " --save-peer", exact: " --save-exact", tilde: " --save-prefix=~" };
+const yarnSaveFlags = { dev: " --dev", optional: " --optional", peer: " --peer", exact: " --exact", tilde: " --tilde" };
+// Bun has no tilde option, so "~" ranges are saved with its default caret
+const bunSaveFlags = { dev: " --dev", optional: " --optional", peer: " --peer", exact: " --exact", tilde: "" };
+
+// `save` is { saveType: "prod" | "dev" | "optional" | "peer", prefix }, where `prefix` is
+// "" for an exact version, "~" or "^", or undefined for the package manager's default
+function saveFlags(flags, { saveType = "prod", prefix } = {}) {
+  return `${flags[saveType] || ""}${prefix === "" ? flags.exact : prefix === "~" ? flags.tilde : ""}`;
+}
+
+// Each backend maps Guardian's operations to its package manager's commands.
+// `resolveLockfile` is only available where Guardian can read the resulting lockfile.
+function createBackends(config) {
+  const registryFlag = () => (config.registry ? ` --registry=${config.registry}` : "");
+  // What installs use: in offline mode the package manager may only read its own cache
+  const networkFlags = () => `${registryFlag()}${config.offline ? " --offline" : ""}`;
+  return {
+    npm: {
+      lockfile: "package-lock.json",
+      install: (spec, save, ignoreScripts) => `npm install ${spec} --silent --no-audit${saveFlags(npmSaveFlags, save)}${ignoreScripts ? " --ignore-scripts" : ""}${networkFlags()}`,
+      // Errors only, so a failure can be reported with npm's reason
+      resolveLockfile: (spec, save) => `npm install ${spec} --package-lock-only --ignore-scripts --loglevel=error --no-audit${saveFlags(npmSaveFlags, save)}${networkFlags()}`,
+      uninstall: (pkg) => `npm uninstall ${pkg} --no-audit${networkFlags()}`,
+      restore: () => `npm install --silent --no-audit${networkFlags()}`,
+      runScripts: (pkgs) => `npm rebuild ${pkgs.join(" ")}`,
+      audit: () => `npm audit --json${registryFlag()}`,
+    },
+    pnpm: {
+      lockfile: "pnpm-lock.yaml",
+      install: (spec, save, ignoreScripts) => `pnpm add ${spec} --silent${saveFlags(npmSaveFlags, save)}${ignoreScripts ? " --ignore-scripts" : ""}${networkFlags()}`,
+      uninstall: (pkg) => `pnpm remove ${pkg}${networkFlags()}`,
+      restore: () => `pnpm install --silent${networkFlags()}`,
+      runScripts: (pkgs) => `pnpm rebuild ${pkgs.join(" ")}`,
+      audit: () => `pnpm audit --json${registryFlag()}`,
+    },
+    yarn: {
+      lockfile: "yarn.lock",
+      install: (spec, save, ignoreScripts) => `yarn add ${spec} --silent${saveFlags(yarnSaveFlags, save)}${ignoreScripts ? " --ignore-scripts" : ""}${networkFlags()}`,
+      uninstall: (pkg) => `yarn remove ${pkg}${networkFlags()}`,
+      restore: () => `yarn install --silent${networkFlags()}`,
+      // Yarn 1 cannot rebuild single packages, but its node_modules layout is the same as npm's
+      runScripts: (pkgs) => `npm rebuild ${pkgs.join(" ")}`,
+      audit: () => `yarn audit --json${registryFlag()}`,
+    },
+    "yarn-berry": {
+      lockfile: "yarn.lock",
+      // Yarn 2+ has no --registry or --offline flag, both are passed through its environment instead
+      env: () => ({
+        ...(config.registry ? { YARN_NPM_REGISTRY_SERVER: config.registry } : {}),
+        ...(config.offline ? { YARN_ENABLE_NETWORK: "0" } : {}),
+      }),
+      install: (spec, save, ignoreScripts) => `yarn add ${spec}${saveFlags(yarnSaveFlags, save)}${ignoreScripts ? " --mode=skip-build" : ""}`,
+      uninstall: (pkg) => `yarn remove ${pkg}`,
+      restore: () => "yarn install",
+      runScripts: (pkgs) => `yarn rebuild ${pkgs.join(" ")}`,
+      audit: () => "yarn npm audit --all --recursive --json",
+    },
+    bun: {
+      lockfile: "bun.lock",
+      install: (spec, save, ignoreScripts) => `bun add ${spec} --silent${saveFlags(bunSaveFlags, save)}${ignoreScripts ? " --ignore-scripts" : ""}${registryFlag()}`,
+      uninstall: (pkg) => `bun remove ${pkg}${registryFlag()}`,
+      restore: () => `bun install --silent${registryFlag()}`,
+      // Trusting a package runs its scripts and records it in trustedDependencies
+      runScripts: (pkgs) => `bun pm trust ${pkgs.join(" ")}`,
+      audit: () => `bun audit --json${registryFlag()}`,
+    },
+  };
+}
+
+/**
+ * Pick the package manager from the config, the package.json `packageManager`
+ * field or the lockfile present in the project, falling back to npm. Yarn 2+ is
+ * returned as "yarn-berry".
+ */
+export function detectPackageManager(config) {
+  const cwd = config.cwd || process.cwd();
+  let pkgJson = {};
+  const pkgPath = path.join(cwd, "package.json");
+  if (existsSync(pkgPath)) {
+    try {
+      pkgJson = JSON.parse(readFileSync(pkgPath, "utf8"));
+    } catch (_) { }
+  }
+
+  let name = config.packageManager;
+  let declared = config.packageManager || pkgJson.packageManager;
+  if (!name && pkgJson.packageManager) name = pkgJson.packageManager.split("@")[0];
+  if (!name) {
+    if (existsSync(path.join(cwd, "package-lock.json"))) name = "npm";
+    else if (existsSync(path.join(cwd, "pnpm-lock.yaml"))) name = "pnpm";
+    else if (existsSync(path.join(cwd, "yarn.lock"))) name = "yarn";
+    else if (existsSync(path.join(cwd, "bun.lock")) || existsSync(path.join(cwd, "bun.lockb"))) name = "bun";
+    else name = "npm";
+  }
+  name = name.split("@")[0];
+
+  if (!validPackageManagers.includes(name)) {
+    throw new ConfigError(`Invalid packageManager: ${name}. Valid options are: ${validPackageManagers.join(", ")}`);
+  }
+  if (name !== "yarn") return name;
+
+  // Yarn 2+ ("berry") has different commands and audit output than Yarn 1
+  const declaredVersion = declared && declared.includes("@") ? semver.coerce(declared.split("@")[1]) : null;
+  if (declaredVersion) return declaredVersion.major >= 2 ? "yarn-berry" : "yarn";
+  if (existsSync(path.join(cwd, ".yarnrc.yml"))) return "yarn-berry";
+  const lockPath = path.join(cwd, "yarn.lock");
+  if (existsSync(lockPath) && readFileSync(lockPath, "utf8").includes("__metadata:")) return "yarn-berry";
+  return "yarn";
+}
+
+/**
+ * The backend of the project's package manager: its `name`, `lockfile`, functions
+ * that build each command, and `run(command, options)` to execute one in the project.
+ * `stdio` is the default for the commands run, e.g. ["inherit", 2, "inherit"] to keep
+ * the package manager's output off stdout.
+ */
+export function createPackageManager(config, { stdio = "inherit" } = {}) {
+  const name = detectPackageManager(config);
+  const backend = createBackends(config)[name];
+  const run = (command, options = {}) => {
+    const env = backend.env ? { ...process.env, ...backend.env() } : process.env;
+    // In a workspace the package manager runs from its folder and finds the root itself
+    const cwd = config.workspace ? config.workspace.dir : config.cwd || process.cwd();
+    return execSync(command, { cwd, stdio, env, ...options });
+  };
+  return { name, ...backend, run };
+}
@@ -0,0 +1,166 @@
+import semver from "semver";
+import { fetchPackageMeta } from "./registry.js";
+import {
+  splitPkgSpec,
+  getAgeDays,
+  selectCandidates,
+  getUpdateRange,
+  isRegistrySpec,
+  findSafeVersion,
+  findSecurityFix,
+  needsCooldownBypass,
+} from "./versions.js";
+import { getInstalledVersion, getPackageDir, readLockfile } from "./project.js";
+import { listWorkspaces } from "./workspaces.js";
+import { getSeverityValue } from "./audit.js";
+import { getExclusion, getMinAge } from "./config.js";
+
+function newRow(name, requested, current) {
+  return {
+    name,
+    requested,
+    current,
+    proposed: null,
+    change: null,
+    published: null,
+    ageDays: null,
+    newestTooYoung: null,
+    decision: "allowed",
+    vulnerabilities: [],
+    skipped: null,
+  };
+}
+
+/**
+ * Work out what install would do for "name" or "name@range", without changing anything.
+ * Resolves to { name, requested, current, proposed, change, published, ageDays,
+ * newestTooYoung, decision, vulnerabilities, skipped }, `skipped` explaining why the
+ * newest version is not proposed. `decision` is "allowed", "warned", "blocked",
+ * "excluded", "skipped" (planUpdate only) or "error", and `vulnerabilities` lists the
+ * advisories of a proposed version that every eligible version is affected by.
+ */
+export async function planPackage(pkgSpec, config) {
+  const [pkg, versionRange] = splitPkgSpec(pkgSpec);
+  const current = getInstalledVersion(pkg, config.cwd, getPackageDir(config));
+  const row = newRow(pkg, versionRange || "latest", current);
+
+  const exclusion = getExclusion(pkg, config);
+  if (exclusion) {
+    row.proposed = versionRange || "latest";
+    row.decision = "excluded";
+    row.skipped = exclusion.reason
+      ? `excluded until ${exclusion.expires} (${exclusion.reason}), installed without validation`
+      : "excluded from restrictions, installed without validation";
+    return row;
+  }
+
+  let meta;
+  try {
+    meta = await fetchPackageMeta(pkg, config);
+  } catch (err) {
+    row.decision = "error";
+    row.skipped = err.message;
+    return row;
+  }
+
+  const minAge = getMinAge(pkg, config);
+  const { matching, candidates, skippedDeprecated } = selectCandidates(meta, versionRange, minAge);
+  const newest = matching.length > 0 ? semver.rsort([...matching])[0] : null;
+  if (newest && getAgeDays(meta.time[newest]) < minAge) {
+    row.newestTooYoung = `${newest} (${getAgeDays(meta.time[newest])} days)`;
+  }
+
+  let securityFix = null;
+  try {
+    securityFix = await findSecurityFix(pkg, meta, versionRange, current, config);
+  } catch (_) { }
+  let found = null;
+  try {
+    found = candidates.length > 0 ? await findSafeVersion(pkg, candidates, config) : null;
+  } catch (err) {
+    row.decision = "error";
+    row.skipped = err.message;
+    return row;
+  }
+  if (needsCooldownBypass(securityFix, found && found.safe)) {
+    const severities = [...new Set(securityFix.fixes.map((advisory) => advisory.severity))].join(", ");
+    row.proposed = securityFix.version;
+    row.published = meta.time[row.proposed];
+    row.ageDays = getAgeDays(row.published);
+    row.decision = "warned";
+    row.change = semver.diff(current, row.proposed);
+    row.skipped = `cooldown bypass: fixes ${severities} advisories in ${current}`;
+    return row;
+  }
+
+  if (candidates.length === 0) {
+    row.decision = "blocked";
+    row.skipped = versionRange
+      ? `no version satisfies "${versionRange}" and is at least ${minAge} days old`
+      : `no version is at least ${minAge} days old`;
+    return row;
+  }
+
+  const { newest: newestEligible, safe, affecting } = found;
+  row.proposed = safe || newestEligible;
+  row.published = meta.time[row.proposed];
+  row.ageDays = getAgeDays(row.published);
+  if (!safe) {
+    const highestSeverity = Math.max(...affecting.map((advisory) => getSeverityValue(advisory.severity)));
+    row.decision = config.mode === "block" && highestSeverity >= 3 ? "blocked" : "warned";
+    row.vulnerabilities = affecting.map(({ title, severity, url }) => ({ title, severity, url }));
+    row.skipped = `every eligible version has known vulnerabilities (${affecting.map((a) => a.severity).join(", ")})`;
+  } else if (safe !== newestEligible) {
+    row.skipped = `${newestEligible} skipped: known vulnerabilities`;
+  } else if (meta.versions[row.proposed].deprecated) {
+    row.decision = "warned";
+    row.skipped = `every eligible version is deprecated: ${meta.versions[row.proposed].deprecated}`;
+  } else if (skippedDeprecated.length > 0) {
+    row.skipped = `${skippedDeprecated.join(", ")} skipped: deprecated`;
+  }
+
+  if (!current) {
+    row.change = "new";
+  } else if (semver.eq(current, row.proposed)) {
+    row.change = "none";
+    if (!row.skipped) row.skipped = "already up to date";
+  } else {
+    row.change = semver.lt(row.proposed, current) ? "downgrade" : semver.diff(current, row.proposed);
+  }
+  return row;
+}
+
+/**
+ * Why update leaves a dependency returned by readDeclaredDependencies as it is, or null:
+ * it is declared with a git URL, a path, an `npm:` alias or another spec that does not
+ * select registry versions of its name, or it is a workspace of the project (or linked
+ * in package-lock.json), whose namesake on the registry is an unrelated package.
+ */
+export function getUpdateSkipReason(dependency, config) {
+  const { name, range } = dependency;
+  if (!isRegistrySpec(range)) return `declared as "${range}", which is not a registry version range or dist-tag`;
+  if (listWorkspaces(config.cwd).some((workspace) => workspace.name === name)) return "a workspace of this project";
+  const lock = readLockfile(config.cwd);
+  const linked = lock && lock.packages && Object.entries(lock.packages).find(([location, entry]) => entry.link && location.endsWith(`node_modules/${name}`));
+  if (linked) return `linked to ${linked[1].resolved} in package-lock.json`;
+  return null;
+}
+
+/**
+ * Work out what update would do for a dependency returned by readDeclaredDependencies,
+ * optionally widened to `target`. Resolves to a planPackage row with its `section`, or
+ * a "skipped" row for dependencies getUpdateSkipReason leaves alone.
+ */
+export async function planUpdate(dependency, target, config) {
+  const { name, range, section } = dependency;
+  const skipReason = getUpdateSkipReason(dependency, config);
+  if (skipReason) {
+    return { ...newRow(name, range, null), decision: "skipped", skipped: `not updated: ${skipReason}`, section };
+  }
+  let updateRange = range;
+  try {
+    updateRange = getUpdateRange(await fetchPackageMeta(name, config), range, getInstalledVersion(name, config.cwd, getPackageDir(config)), target);
+  } catch (_) { }
+  const row = await planPackage(`${name}@${updateRange}`, config);
+  return { ...row, requested: target ? `${range} (--target ${target})` : range, section };
+}
@@ -0,0 +1,95 @@
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import path from "path";
+import { ConfigError } from "./errors.js";
+
+// Sections in the order a package declared in several of them is updated from
+export const dependencySections = {
+  dependencies: "prod",
+  devDependencies: "dev",
+  optionalDependencies: "optional",
+  peerDependencies: "peer",
+};
+
+/**
+ * Dependencies declared in package.json, each with its range and the section it lives in.
+ */
+export function readDeclaredDependencies(pkgJson) {
+  const declared = {};
+  for (const section of Object.keys(dependencySections)) {
+    for (const [name, range] of Object.entries(pkgJson[section] || {})) {
+      if (!declared[name]) declared[name] = { name, range, section };
+    }
+  }
+  return declared;
+}
+
+/**
+ * The directory whose package.json Guardian works on: the selected workspace's, or the
+ * project root.
+ */
+export function getPackageDir(config) {
+  return config.workspace ? config.workspace.dir : config.cwd;
+}
+
+/**
+ * The version of `pkg` that `from` (the project root or one of its workspaces) resolves,
+ * or null. node_modules folders are searched from `from` up to the root, then the root
+ * package-lock.json, so packages hoisted out of a workspace are found too.
+ */
+export function getInstalledVersion(pkg, cwd = process.cwd(), from = cwd) {
+  const root = path.resolve(cwd);
+  let dir = path.resolve(from);
+  const locations = [];
+  while (true) {
+    try {
+      const pkgJsonPath = path.join(dir, "node_modules", pkg, "package.json");
+      if (existsSync(pkgJsonPath)) return JSON.parse(readFileSync(pkgJsonPath, "utf8")).version;
+    } catch (_) { }
+    const relative = path.relative(root, dir).split(path.sep).join("/");
+    locations.push(relative ? `${relative}/node_modules/${pkg}` : `node_modules/${pkg}`);
+    if (dir === root || relative.startsWith("..")) break;
+    dir = path.dirname(dir);
+  }
+  try {
+    const lock = readLockfile(root);
+    const location = lock && lock.packages && locations.find((candidate) => lock.packages[candidate]);
+    if (location) return lock.packages[location].version || null;
+  } catch (_) { }
+  return null;
+}
+
+/**
+ * The project's parsed package-lock.json, or null when there is none.
+ */
+export function readLockfile(cwd = process.cwd()) {
+  const lockPath = path.join(cwd, "package-lock.json");
+  if (!existsSync(lockPath)) return null;
+  try {
+    return JSON.parse(readFileSync(lockPath, "utf8"));
+  } catch (err) {
+    throw new ConfigError(`Error reading package-lock.json: ${err.message}`);
+  }
+}
+
+/**
+ * Flatten a v2/v3 package-lock.json into the list of installed registry packages.
+ */
+export function getLockedPackages(lock) {
+  if (!lock || !lock.packages) return [];
+  const locked = [];
+  for (const [location, entry] of Object.entries(lock.packages)) {
+    // "" is the root and paths outside node_modules are its workspaces
+    if (!location.includes("node_modules/") || entry.link || entry.inBundle || !entry.version) continue;
+    if (entry.resolved && !/^https?:/.test(entry.resolved)) continue;
+    const name = entry.name || location.slice(location.lastIndexOf("node_modules/") + "node_modules/".length);
+    locked.push({ name, version: entry.version, location, entry });
+  }
+  return locked;
+}
+
+export function writeOverrides(overrides, cwd = process.cwd()) {
+  const pkgPath = path.join(cwd, "package.json");
+  const pkgJson = JSON.parse(readFileSync(pkgPath, "utf8"));
+  pkgJson.overrides = { ...(pkgJson.overrides || {}), ...overrides };
+  writeFileSync(pkgPath, JSON.stringify(pkgJson, null, 2) + "\n");
+}
@@ -0,0 +1,294 @@
+import fetch from "node-fetch";
+import { readFileSync, existsSync } from "fs";
+import path from "path";
+import os from "os";
+import semver from "semver";
+import { ConfigError, RegistryError } from "./errors.js";
+import { readCacheEntry, writeCacheEntry } from "./cache.js";
+
+export const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+const metaCache = new Map();
+
+/**
+ * Read the user's and the project's .npmrc, the project one taking precedence.
+ */
+export function loadNpmrc(cwd = process.cwd()) {
+  const settings = {};
+  for (const file of [path.join(os.homedir(), ".npmrc"), path.join(cwd, ".npmrc")]) {
+    if (!existsSync(file)) continue;
+    try {
+      Object.assign(settings, parseNpmrc(readFileSync(file, "utf8")));
+    } catch (err) {
+      throw new ConfigError(`Error reading ${file}: ${err.message}`);
+    }
+  }
+  return settings;
+}
+
+export function parseNpmrc(content) {
+  const settings = {};
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#") || line.startsWith(";")) continue;
+    const eqIndex = line.indexOf("=");
+    if (eqIndex === -1) continue;
+    const key = line.slice(0, eqIndex).trim();
+    let value = line.slice(eqIndex + 1).trim();
+    if (/^(".*"|'.*')$/.test(value)) value = value.slice(1, -1);
+    // npm expands ${VAR} references, which is how tokens are usually kept out of the file
+    settings[key] = value.replace(/\$\{([^}]+)\}/g, (_, name) => process.env[name] || "");
+  }
+  return settings;
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * The registry `pkg` is fetched from: its scope's registry, then `config.registry`,
+ * then the .npmrc `registry`, then the public npm registry.
+ */
+export function getRegistryUrl(pkg, config) {
+  const npmrc = config.npmrc || {};
+  if (pkg.startsWith("@")) {
+    const scope = pkg.split("/")[0];
+    if (npmrc[`${scope}:registry`]) return withTrailingSlash(npmrc[`${scope}:registry`]);
+  }
+  return withTrailingSlash(config.registry || npmrc.registry || DEFAULT_REGISTRY);
+}
+
+/**
+ * Find the credentials npm would send to `registryUrl`, walking up from the full
+ * path to the host the same way npm matches `//host/path/:_authToken` keys.
+ */
+export function getAuthHeaders(registryUrl, config) {
+  const npmrc = config.npmrc || {};
+  const url = new URL(registryUrl);
+  let nerfDart = `//${url.host}${withTrailingSlash(url.pathname)}`;
+  while (true) {
+    if (npmrc[`${nerfDart}:_authToken`]) {
+      return { authorization: `Bearer ${npmrc[`${nerfDart}:_authToken`]}` };
+    }
+    if (npmrc[`${nerfDart}:_auth`]) {
+      return { authorization: `Basic ${npmrc[`${nerfDart}:_auth`]}` };
+    }
+    if (npmrc[`${nerfDart}:username`] && npmrc[`${nerfDart}:_password`]) {
+      const password = Buffer.from(npmrc[`${nerfDart}:_password`], "base64").toString("utf8");
+      const credentials = Buffer.from(`${npmrc[`${nerfDart}:username`]}:${password}`).toString("base64");
+      return { authorization: `Basic ${credentials}` };
+    }
+    if (nerfDart === `//${url.host}/`) return {};
+    nerfDart = nerfDart.replace(/[^/]+\/$/, "");
+  }
+}
+
+// Scoped names keep their "@" but the slash must be escaped: @scope%2fname
+export function encodePackageName(pkg) {
+  return pkg.startsWith("@") ? pkg.replace("/", "%2f") : pkg;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After (seconds or an HTTP date, at most a minute), else 1s, 2s, 4s...
+function getRetryDelay(res, attempt) {
+  const retryAfter = res && res.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) : (Date.parse(retryAfter) - Date.now()) / 1000;
+    if (seconds >= 0) return Math.min(seconds, 60) * 1000;
+  }
+  return 1000 * 2 ** attempt;
+}
+
+/**
+ * fetch() for registry requests. Each attempt waits at most `config.fetchTimeout` ms for
+ * a response, and network errors, HTTP 429 and 5xx are retried `config.fetchRetries`
+ * times. Resolves to the last response, whatever its status. `what` names the request
+ * in errors. Throws a RegistryError in offline mode.
+ */
+export async function registryFetch(url, options, what, config) {
+  if (config.offline) throw new RegistryError(`Cannot fetch ${what} in offline mode`);
+  const retries = config.fetchRetries ?? 2;
+  const timeout = config.fetchTimeout ?? 30000;
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let res;
+    try {
+      res = await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+      if (attempt < retries) {
+        await sleep(getRetryDelay(null, attempt));
+        continue;
+      }
+      const reason = err.name === "AbortError" ? `no response after ${timeout} ms` : err.message;
+      throw new RegistryError(`Failed to fetch ${what}: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    if ((res.status === 429 || res.status >= 500) && attempt < retries) {
+      await sleep(getRetryDelay(res, attempt));
+      continue;
+    }
+    return res;
+  }
+}
+
+// What Guardian reads from a packument, so cached ones stay small
+const versionFields = ["name", "version", "deprecated", "dist", "license", "licenses", "hasInstallScript", "gypfile", "dependencies", "optionalDependencies", "peerDependencies", "_npmUser", "maintainers"];
+const lifecycleScripts = ["preinstall", "install", "postinstall"];
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.filter((field) => object[field] !== undefined).map((field) => [field, object[field]]));
+}
+
+function trimPackument(meta) {
+  const versions = {};
+  for (const [version, manifest] of Object.entries(meta.versions || {})) {
+    versions[version] = pick(manifest, versionFields);
+    const scripts = pick(manifest.scripts || {}, lifecycleScripts);
+    if (Object.keys(scripts).length > 0) versions[version].scripts = scripts;
+  }
+  return { ...pick(meta, ["name", "dist-tags", "time", "modified"]), versions };
+}
+
+const abbreviatedAccept = "application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8";
+
+// Fetch a packument, revalidating the cached copy with its ETag and Last-Modified. In
+// offline mode only the cache is read, an abbreviated lookup settling for a full copy.
+async function loadPackument(pkg, abbreviated, config) {
+  const registryUrl = getRegistryUrl(pkg, config);
+  const url = `${registryUrl}${encodePackageName(pkg)}`;
+  const key = `${abbreviated ? "abbreviated" : "full"}:${url}`;
+  const cached = readCacheEntry(key, config);
+  if (config.offline) {
+    const entry = cached || (abbreviated ? readCacheEntry(`full:${url}`, config) : null);
+    if (!entry) throw new RegistryError(`No cached metadata for ${pkg} from ${registryUrl} (offline mode)`);
+    return entry.meta;
+  }
+
+  const headers = { accept: abbreviated ? abbreviatedAccept : "application/json", ...getAuthHeaders(registryUrl, config) };
+  if (cached && cached.etag) headers["if-none-match"] = cached.etag;
+  if (cached && cached.lastModified) headers["if-modified-since"] = cached.lastModified;
+  const res = await registryFetch(url, { headers }, `metadata for ${pkg} from ${registryUrl}`, config);
+  if (res.status === 304 && cached) return cached.meta;
+  if (!res.ok) {
+    throw new RegistryError(`Failed to fetch metadata for ${pkg} from ${registryUrl} (HTTP ${res.status})`, res.status);
+  }
+  const meta = trimPackument(await res.json());
+  writeCacheEntry(key, { etag: res.headers.get("etag"), lastModified: res.headers.get("last-modified"), meta }, config);
+  return meta;
+}
+
+// Promises by request, so concurrent lookups of a package share one fetch. Failures
+// are kept too: registryFetch already retried them.
+function memoize(key, load) {
+  if (!metaCache.has(key)) metaCache.set(key, load());
+  return metaCache.get(key);
+}
+
+// Registries whose abbreviated packuments have no `time`, remembered across runs
+let registriesWithoutTime = null;
+
+function lacksTime(registryUrl, config) {
+  if (!registriesWithoutTime) registriesWithoutTime = new Set((readCacheEntry("registries", config) || {}).withoutTime || []);
+  return registriesWithoutTime.has(registryUrl);
+}
+
+function markLacksTime(registryUrl, config) {
+  registriesWithoutTime.add(registryUrl);
+  writeCacheEntry("registries", { withoutTime: [...registriesWithoutTime] }, config);
+}
+
+/**
+ * Fetch the complete packument of `pkg`, which the license, install script and release
+ * risk checks need. Packuments are cached on disk and for the life of the process.
+ */
+export function fetchFullPackageMeta(pkg, config) {
+  const url = `${getRegistryUrl(pkg, config)}${encodePackageName(pkg)}`;
+  return memoize(`full:${url}`, () => loadPackument(pkg, false, config));
+}
+
+/**
+ * Fetch the packument of `pkg` with at least its versions, dist-tags, publish times and
+ * `dist`, `deprecated` and dependency fields. The abbreviated format is requested, and the
+ * full one when the registry's abbreviated packuments lack publish times. Packuments are
+ * cached on disk and for the life of the process.
+ */
+export async function fetchPackageMeta(pkg, config) {
+  const registryUrl = getRegistryUrl(pkg, config);
+  const url = `${registryUrl}${encodePackageName(pkg)}`;
+  if (metaCache.has(`full:${url}`) || lacksTime(registryUrl, config)) return fetchFullPackageMeta(pkg, config);
+  const meta = await memoize(`abbreviated:${url}`, () => loadPackument(pkg, true, config));
+  if (meta.time) return meta;
+  markLacksTime(registryUrl, config);
+  return fetchFullPackageMeta(pkg, config);
+}
+
+// Run `fetchOne` over `names`, `config.concurrency` at a time, ignoring failures: the
+// lookups that need a packument report its error
+async function prefetch(names, fetchOne, config) {
+  const queue = [...new Set(names)];
+  const worker = async () => {
+    while (queue.length > 0) {
+      await fetchOne(queue.shift(), config).catch(() => {});
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, config.concurrency || 8) }, worker));
+}
+
+/**
+ * Fetch the packuments of `names` concurrently (`config.concurrency`, 8 by default), so
+ * the checks that go through them one by one find them cached.
+ */
+export function prefetchPackageMeta(names, config) {
+  return prefetch(names, fetchPackageMeta, config);
+}
+
+/**
+ * prefetchPackageMeta for fetchFullPackageMeta.
+ */
+export function prefetchFullPackageMeta(names, config) {
+  return prefetch(names, fetchFullPackageMeta, config);
+}
+
+/**
+ * Query the registry's bulk advisory endpoint for { [name]: [versions] }, grouped by
+ * registry. Resolves to { [name]: [advisory] }.
+ */
+export async function fetchAdvisories(versionsByName, config) {
+  const byRegistry = {};
+  for (const [name, versions] of Object.entries(versionsByName)) {
+    const registryUrl = getRegistryUrl(name, config);
+    byRegistry[registryUrl] = { ...(byRegistry[registryUrl] || {}), [name]: versions };
+  }
+
+  const advisories = {};
+  for (const [registryUrl, body] of Object.entries(byRegistry)) {
+    const res = await registryFetch(`${registryUrl}-/npm/v1/security/advisories/bulk`, {
+      method: "POST",
+      headers: { "content-type": "application/json", accept: "application/json", ...getAuthHeaders(registryUrl, config) },
+      body: JSON.stringify(body),
+    }, `security advisories from ${registryUrl}`, config);
+    if (!res.ok) {
+      throw new RegistryError(`Failed to fetch security advisories from ${registryUrl} (HTTP ${res.status})`, res.status);
+    }
+    Object.assign(advisories, await res.json());
+  }
+  return advisories;
+}
+
+/**
+ * Rethrow a failure to fetch advisories as a RegistryError, unless `warn` or `off` mode,
+ * offline mode or `allowAdvisoryErrors` let the command go on without them: block mode
+ * never installs what it could not check.
+ */
+export function rethrowAdvisoryError(err, config) {
+  if (config.mode !== "block" || config.offline || config.allowAdvisoryErrors) return;
+  if (!(err instanceof RegistryError)) throw err;
+  throw new RegistryError(`${err.message}. Block mode stops when advisories cannot be checked: set allowAdvisoryErrors to go on without them`, err.status);
+}
+
+export function getAffectingAdvisories(advisories, version) {
+  return (advisories || []).filter((advisory) => semver.satisfies(version, advisory.vulnerable_versions, { includePrerelease: true }));
+}
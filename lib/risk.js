@@ -0,0 +1,99 @@
+import semver from "semver";
+import { getInstalledVersion, getPackageDir } from "./project.js";
+
+// Names checked for typosquatting: close misspellings of these are reported
+export const popularPackages = [
+  "react", "react-dom", "preact", "vue", "angular", "svelte", "next", "nuxt", "express", "koa", "fastify",
+  "hapi", "lodash", "underscore", "ramda", "axios", "request", "node-fetch", "got", "superagent", "moment",
+  "dayjs", "date-fns", "luxon", "chalk", "commander", "yargs", "minimist", "inquirer", "debug", "dotenv",
+  "cross-env", "uuid", "nanoid", "classnames", "clsx", "semver", "glob", "rimraf", "mkdirp", "fs-extra",
+  "chokidar", "webpack", "rollup", "vite", "esbuild", "parcel", "babel-core", "typescript", "ts-node",
+  "eslint", "prettier", "jest", "mocha", "chai", "vitest", "sinon", "cypress", "puppeteer", "playwright",
+  "jquery", "bootstrap", "tailwindcss", "postcss", "autoprefixer", "sass", "less", "styled-components",
+  "redux", "mobx", "rxjs", "immer", "zod", "yup", "joi", "ajv", "mongoose", "sequelize", "prisma",
+  "typeorm", "knex", "mysql", "mysql2", "pg", "redis", "ioredis", "mongodb", "sqlite3", "socket.io", "ws",
+  "body-parser", "cors", "helmet", "morgan", "passport", "jsonwebtoken", "bcrypt", "bcryptjs", "cookie-parser",
+  "multer", "nodemailer", "sharp", "jimp", "cheerio", "electron", "nodemon", "pm2", "concurrently", "husky",
+  "lint-staged", "colors", "ora", "figlet", "boxen", "async", "bluebird", "core-js", "tslib", "graphql",
+  "apollo-server", "d3", "three", "chart.js", "marked", "highlight.js", "crypto-js", "qs", "form-data",
+  "ethers", "web3", "discord.js", "openai", "zustand", "swr", "formik", "handlebars", "ejs", "pug", "vuex",
+  "color", "sqlite",
+];
+
+// Damerau-Levenshtein distance, so that swapped letters ("lodahs") count as one typo
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Short names are one typo away from many real packages ("ms" and "ws", "swc" and
+// "swr"), so they are not checked
+const minTyposquatLength = 4;
+
+export function findTyposquatTarget(pkg) {
+  if (pkg.startsWith("@") || pkg.length < minTyposquatLength || popularPackages.includes(pkg)) return null;
+  const maxDistance = pkg.length >= 8 ? 2 : 1;
+  return popularPackages.find((popular) => editDistance(pkg, popular) <= maxDistance) || null;
+}
+
+/**
+ * The newest stable release of a packument before `version`, or undefined.
+ */
+export function getPreviousRelease(meta, version) {
+  return semver.rsort(Object.keys(meta.versions).filter((v) => semver.valid(v) && !semver.prerelease(v) && semver.lt(v, version)))[0];
+}
+
+/**
+ * Compare release `version` of a packument with `baseline` and list the changes typical
+ * of a hijacked account: a different publisher, new dependencies, a much larger unpacked
+ * size or a lost provenance attestation.
+ */
+export function compareReleases(meta, version, baseline) {
+  const findings = [];
+  if (!baseline || baseline === version) return findings;
+
+  const current = meta.versions[version] || {};
+  const previous = meta.versions[baseline] || {};
+
+  const publisher = current._npmUser && current._npmUser.name;
+  const previousPublisher = previous._npmUser && previous._npmUser.name;
+  if (publisher && previousPublisher && publisher !== previousPublisher) {
+    const wasMaintainer = (previous.maintainers || []).some((maintainer) => maintainer.name === publisher);
+    findings.push(`published by "${publisher}", ${baseline} was published by "${previousPublisher}"${wasMaintainer ? "" : ` ("${publisher}" was not a maintainer of ${baseline})`}`);
+  }
+
+  const newDependencies = Object.keys(current.dependencies || {}).filter((dep) => !(previous.dependencies || {})[dep]);
+  if (newDependencies.length > 0) {
+    findings.push(`new dependencies: ${newDependencies.join(", ")}`);
+  }
+
+  const size = current.dist && current.dist.unpackedSize;
+  const previousSize = previous.dist && previous.dist.unpackedSize;
+  if (size && previousSize && size > previousSize * 2 && size - previousSize > 50 * 1024) {
+    findings.push(`unpacked size grew from ${Math.round(previousSize / 1024)} kB to ${Math.round(size / 1024)} kB`);
+  }
+
+  if (previous.dist && previous.dist.attestations && !(current.dist && current.dist.attestations)) {
+    findings.push(`no provenance attestation, ${baseline} had one`);
+  }
+
+  return findings;
+}
+
+// Compare the release being installed with the installed one (or, on a fresh install,
+// the release before it) and list the changes typical of a hijacked account
+export function analyzeReleaseRisk(pkg, meta, version, config) {
+  let baseline = getInstalledVersion(pkg, config.cwd, getPackageDir(config));
+  if (!baseline || !meta.versions[baseline]) baseline = getPreviousRelease(meta, version);
+  return { baseline, findings: compareReleases(meta, version, baseline) };
+}
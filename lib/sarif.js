@@ -0,0 +1,83 @@
+import { readFileSync, existsSync } from "fs";
+import path from "path";
+
+const rules = {
+  minAge: "Version younger than the minimum release age",
+  transitive: "Dependency younger than the minimum release age",
+  vulnerabilities: "Version with known vulnerabilities",
+  installScripts: "Install scripts of a package not in allowScripts",
+  releaseRisk: "Suspicious release",
+  deprecated: "Deprecated version",
+  securityFix: "Minimum release age bypassed for a security fix",
+  signatures: "Missing or invalid registry signature or lockfile integrity",
+  provenance: "Missing or invalid provenance attestation",
+  licenses: "License not allowed, unknown or missing",
+  error: "Package could not be checked",
+};
+
+function getSarifLevel(severity) {
+  if (severity === "high" || severity === "critical") return "error";
+  return severity === "moderate" ? "warning" : "note";
+}
+
+// Point at the package's line in package.json (the workspace's one for workspace
+// results), or package-lock.json for `check`
+function getLocation(file, name, cwd) {
+  const artifactLocation = { uri: file };
+  const fullPath = path.join(cwd, file);
+  if (!existsSync(fullPath)) return { physicalLocation: { artifactLocation } };
+  const needle = file === "package-lock.json" ? `node_modules/${name}":` : `"${name}":`;
+  const line = readFileSync(fullPath, "utf8").split("\n").findIndex((text) => text.includes(needle));
+  if (line === -1) return { physicalLocation: { artifactLocation } };
+  return { physicalLocation: { artifactLocation, region: { startLine: line + 1 } } };
+}
+
+/**
+ * Convert a command report ({ command, results }) into a SARIF 2.1.0 log. Each
+ * vulnerability and each warning or error finding of a result becomes a SARIF result.
+ */
+export function toSarif(report, { version, cwd = process.cwd() }) {
+  const file = report.command === "check" || report.command === "diff" ? "package-lock.json" : "package.json";
+  const sarifResults = [];
+  for (const result of report.results) {
+    const manifest = result.workspace && file === "package.json" ? `${result.workspace.location}/package.json` : file;
+    const location = getLocation(manifest, result.name, cwd);
+    const label = result.version ? `${result.name}@${result.version}` : result.name;
+    for (const vulnerability of result.vulnerabilities) {
+      sarifResults.push({
+        ruleId: "vulnerabilities",
+        level: getSarifLevel(vulnerability.severity),
+        message: { text: `${vulnerability.name}@${vulnerability.version}: ${vulnerability.title} (${vulnerability.severity}) ${vulnerability.url}` },
+        locations: [location],
+      });
+    }
+    for (const finding of result.findings) {
+      // Vulnerabilities are already reported one by one
+      if (finding.level === "note" || (finding.policy === "vulnerabilities" && result.vulnerabilities.length > 0)) continue;
+      sarifResults.push({
+        ruleId: finding.policy,
+        level: finding.level,
+        message: { text: finding.message.startsWith(`${label} `) ? finding.message : `${label}: ${finding.message}` },
+        locations: [location],
+      });
+    }
+  }
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "guardian",
+            version,
+            informationUri: "https://github.com/unsetsoft/guardian.js",
+            rules: Object.entries(rules).map(([id, text]) => ({ id, shortDescription: { text } })),
+          },
+        },
+        results: sarifResults,
+      },
+    ],
+  };
+}
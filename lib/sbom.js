@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import path from "path";
+import parseSpdx from "spdx-expression-parse";
+import { ConfigError, RegistryError } from "./errors.js";
+import {
+  fetchPackageMeta,
+  fetchFullPackageMeta,
+  prefetchPackageMeta,
+  prefetchFullPackageMeta,
+  fetchAdvisories,
+  getAffectingAdvisories,
+} from "./registry.js";
+import { getAgeDays } from "./versions.js";
+import { readLockfile, getLockedPackages } from "./project.js";
+import { getPurl } from "./signatures.js";
+import { getDeclaredLicense } from "./licenses.js";
+import { isExcluded, getMinAge } from "./config.js";
+
+const dependencyFields = ["dependencies", "optionalDependencies", "peerDependencies"];
+
+// Lockfile integrity ("sha512-<base64> sha1-<base64>") as [{ algorithm, hex }]
+function parseIntegrity(integrity) {
+  return (integrity || "").split(/\s+/).filter(Boolean).flatMap((hash) => {
+    const [algorithm, digest] = [hash.slice(0, hash.indexOf("-")), hash.slice(hash.indexOf("-") + 1)];
+    if (!/^sha(1|256|384|512)$/.test(algorithm) || !digest) return [];
+    return [{ algorithm, hex: Buffer.from(digest, "base64").toString("hex") }];
+  });
+}
+
+// The lockfile location `name` resolves to from `from`, as Node walks up node_modules
+function resolveLocation(packages, from, name) {
+  let base = from;
+  while (true) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) return candidate;
+    if (!base) return null;
+    const index = base.lastIndexOf("/node_modules/");
+    base = index === -1 ? "" : base.slice(0, index);
+  }
+}
+
+function getDependencyNames(entry) {
+  return [...new Set(dependencyFields.flatMap((field) => Object.keys(entry[field] || {})))];
+}
+
+function isSpdxExpression(license) {
+  try {
+    parseSpdx(license);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Collect what an SBOM of the project's package-lock.json needs. Resolves to
+ * { root, components, created, auditError }: `root` is the project as { name, version,
+ * license, dependsOn }, and each component is { name, version, purl, resolved, hashes,
+ * license, published, ageDays, minAge, minAgePassed, excluded, vulnerabilities,
+ * dependsOn }, `dependsOn` listing purls. Ages are counted at `created`, and
+ * `vulnerabilities` lists the registry's advisories affecting that version, `auditError`
+ * being the error message when they could not be fetched. Throws a ConfigError without
+ * a supported package-lock.json.
+ */
+export async function collectSbom(config) {
+  const lock = readLockfile(config.cwd);
+  if (!lock) throw new ConfigError("No package-lock.json found in current directory");
+  if (!lock.packages) {
+    throw new ConfigError(`Unsupported lockfileVersion ${lock.lockfileVersion}. Only package-lock.json v2 and v3 are supported.`);
+  }
+
+  const locked = getLockedPackages(lock);
+  const versionsByName = {};
+  for (const { name, version } of locked) {
+    versionsByName[name] = [...new Set([...(versionsByName[name] || []), version])];
+  }
+  let advisories = {};
+  let auditError = null;
+  try {
+    advisories = await fetchAdvisories(versionsByName, config);
+  } catch (err) {
+    if (!(err instanceof RegistryError)) throw err;
+    auditError = err.message;
+  }
+
+  const purls = {};
+  const components = new Map();
+  await prefetchPackageMeta(locked.map(({ name }) => name), config);
+  // Licenses missing from the lockfile are read from the full packuments
+  await prefetchFullPackageMeta(locked.filter(({ entry }) => !entry.license).map(({ name }) => name), config);
+  for (const { name, version, location, entry } of locked) {
+    const purl = getPurl(name, version);
+    purls[location] = purl;
+    if (components.has(purl)) continue;
+    const meta = await fetchPackageMeta(name, config);
+    const published = (meta.time && meta.time[version]) || null;
+    const ageDays = published ? getAgeDays(published) : null;
+    const minAge = getMinAge(name, config);
+    const excluded = isExcluded(name, config);
+    components.set(purl, {
+      name,
+      version,
+      purl,
+      resolved: entry.resolved || null,
+      hashes: parseIntegrity(entry.integrity),
+      license: entry.license || getDeclaredLicense((await fetchFullPackageMeta(name, config)).versions[version]),
+      published,
+      ageDays,
+      minAge,
+      minAgePassed: excluded || (ageDays !== null && ageDays >= minAge),
+      excluded,
+      // Advisories are matched per version, so each copy of a package only lists its own
+      vulnerabilities: getAffectingAdvisories(advisories[name], version).map(({ title, severity, url }) => ({ title, severity, url })),
+      dependsOn: [],
+    });
+  }
+
+  const dependsOn = (from, entry) => [...new Set(getDependencyNames(entry)
+    .map((name) => purls[resolveLocation(lock.packages, from, name)])
+    .filter(Boolean))];
+  for (const { location, entry } of locked) {
+    const component = components.get(purls[location]);
+    component.dependsOn = [...new Set([...component.dependsOn, ...dependsOn(location, entry)])];
+  }
+  const rootEntry = lock.packages[""] || {};
+  const root = {
+    name: lock.name || rootEntry.name || path.basename(config.cwd),
+    version: lock.version || rootEntry.version || null,
+    license: rootEntry.license || null,
+    dependsOn: dependsOn("", { ...rootEntry, dependencies: { ...rootEntry.devDependencies, ...rootEntry.dependencies } }),
+  };
+
+  return {
+    root,
+    components: [...components.values()].sort((a, b) => a.purl.localeCompare(b.purl)),
+    created: new Date().toISOString(),
+    auditError,
+  };
+}
+
+// Guardian's policy results for a component, as [name, value] pairs
+function getGuardianProperties(component) {
+  const properties = [];
+  if (component.published) properties.push(["guardian:published", component.published]);
+  if (component.ageDays !== null) properties.push(["guardian:ageDays", String(component.ageDays)]);
+  properties.push(["guardian:minAge", String(component.minAge)]);
+  properties.push(["guardian:minAgePassed", String(component.minAgePassed)]);
+  if (component.excluded) properties.push(["guardian:excluded", "true"]);
+  properties.push(["guardian:vulnerabilities", String(component.vulnerabilities.length)]);
+  return properties;
+}
+
+const cycloneDxAlgorithms = { sha1: "SHA-1", sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+// npm's "moderate" is CycloneDX's "medium"
+const cycloneDxSeverities = { low: "low", moderate: "medium", high: "high", critical: "critical" };
+
+function toCycloneDxLicenses(license) {
+  if (!license) return undefined;
+  return isSpdxExpression(license) ? [{ expression: license }] : [{ license: { name: license } }];
+}
+
+/**
+ * Convert collectSbom's result into a CycloneDX 1.5 JSON document. Guardian's results
+ * are `guardian:*` properties of each component, and advisories are listed in
+ * `vulnerabilities`.
+ */
+export function toCycloneDx(sbom, { version }) {
+  const { root, components, created } = sbom;
+  const rootRef = root.version ? getPurl(root.name, root.version) : root.name;
+  const vulnerabilities = new Map();
+  for (const component of components) {
+    for (const { title, severity, url } of component.vulnerabilities) {
+      const key = url || title;
+      if (!vulnerabilities.has(key)) {
+        vulnerabilities.set(key, {
+          id: (url && url.split("/").pop()) || title,
+          source: url ? { name: "npm", url } : undefined,
+          ratings: [{ severity: cycloneDxSeverities[severity] || "unknown", method: "other" }],
+          description: title,
+          affects: [],
+        });
+      }
+      vulnerabilities.get(key).affects.push({ ref: component.purl });
+    }
+  }
+
+  return {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: created,
+      tools: { components: [{ type: "application", name: "guardian.js", version }] },
+      component: { type: "application", "bom-ref": rootRef, name: root.name, version: root.version || undefined, licenses: toCycloneDxLicenses(root.license) },
+    },
+    components: components.map((component) => ({
+      type: "library",
+      "bom-ref": component.purl,
+      name: component.name,
+      version: component.version,
+      purl: component.purl,
+      hashes: component.hashes.map(({ algorithm, hex }) => ({ alg: cycloneDxAlgorithms[algorithm], content: hex })),
+      licenses: toCycloneDxLicenses(component.license),
+      externalReferences: component.resolved ? [{ type: "distribution", url: component.resolved }] : undefined,
+      properties: getGuardianProperties(component).map(([name, value]) => ({ name, value })),
+    })),
+    dependencies: [
+      { ref: rootRef, dependsOn: root.dependsOn },
+      ...components.map((component) => ({ ref: component.purl, dependsOn: component.dependsOn })),
+    ],
+    vulnerabilities: [...vulnerabilities.values()],
+  };
+}
+
+function getSpdxId(name, version) {
+  return `SPDXRef-Package-${`${name}-${version || ""}`.replace(/[^A-Za-z0-9.-]/g, "-")}`;
+}
+
+/**
+ * Convert collectSbom's result into an SPDX 2.3 JSON document. Guardian's results are an
+ * annotation on each package, with one `guardian:name=value` line per result, and
+ * advisories are SECURITY external references.
+ */
+export function toSpdx(sbom, { version }) {
+  const { root, components } = sbom;
+  // SPDX dates have no milliseconds
+  const created = sbom.created.replace(/\.\d+Z$/, "Z");
+  const creator = `Tool: guardian.js-${version}`;
+  const rootId = getSpdxId(root.name, root.version);
+  const ids = Object.fromEntries(components.map((component) => [component.purl, getSpdxId(component.name, component.version)]));
+  const declared = (license) => (license && isSpdxExpression(license) ? license : "NOASSERTION");
+
+  return {
+    spdxVersion: "SPDX-2.3",
+    dataLicense: "CC0-1.0",
+    SPDXID: "SPDXRef-DOCUMENT",
+    name: root.version ? `${root.name}@${root.version}` : root.name,
+    documentNamespace: `https://spdx.org/spdxdocs/${root.name.replace(/[^A-Za-z0-9.-]/g, "-")}-${crypto.randomUUID()}`,
+    creationInfo: { created, creators: [creator] },
+    packages: [
+      {
+        SPDXID: rootId,
+        name: root.name,
+        versionInfo: root.version || undefined,
+        downloadLocation: "NOASSERTION",
+        filesAnalyzed: false,
+        licenseConcluded: "NOASSERTION",
+        licenseDeclared: declared(root.license),
+        copyrightText: "NOASSERTION",
+      },
+      ...components.map((component) => ({
+        SPDXID: ids[component.purl],
+        name: component.name,
+        versionInfo: component.version,
+        downloadLocation: component.resolved || "NOASSERTION",
+        filesAnalyzed: false,
+        checksums: component.hashes.map(({ algorithm, hex }) => ({ algorithm: algorithm.toUpperCase(), checksumValue: hex })),
+        licenseConcluded: "NOASSERTION",
+        licenseDeclared: declared(component.license),
+        copyrightText: "NOASSERTION",
+        externalRefs: [
+          { referenceCategory: "PACKAGE-MANAGER", referenceType: "purl", referenceLocator: component.purl },
+          ...component.vulnerabilities.filter(({ url }) => url).map(({ url }) => ({ referenceCategory: "SECURITY", referenceType: "advisory", referenceLocator: url })),
+        ],
+        annotations: [{
+          annotationDate: created,
+          annotationType: "OTHER",
+          annotator: creator,
+          comment: getGuardianProperties(component).map(([name, value]) => `${name}=${value}`).join("\n"),
+        }],
+      })),
+    ],
+    relationships: [
+      { spdxElementId: "SPDXRef-DOCUMENT", relationshipType: "DESCRIBES", relatedSpdxElement: rootId },
+      ...root.dependsOn.map((purl) => ({ spdxElementId: rootId, relationshipType: "DEPENDS_ON", relatedSpdxElement: ids[purl] })),
+      ...components.flatMap((component) => component.dependsOn.map((purl) => ({ spdxElementId: ids[component.purl], relationshipType: "DEPENDS_ON", relatedSpdxElement: ids[purl] }))),
+    ],
+  };
+}
@@ -0,0 +1,292 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync, rmdirSync } from "fs";
+import path from "path";
+import os from "os";
+import { ConfigError } from "./errors.js";
+import { configFiles } from "./config.js";
+import { listWorkspaces } from "./workspaces.js";
+
+export const DEFAULT_SHIM_DIR = path.join(os.homedir(), ".guardian", "bin");
+export const shimTools = ["npm", "npx"];
+// Written into every shim, so uninstall never removes a file Guardian did not write
+const shimMarker = "# guardian-shim";
+
+const installCommands = ["install", "i", "in", "add", "isntall"];
+const updateCommands = ["update", "up", "upgrade"];
+// Commands that install what package-lock.json lists, which `guardian check` vets first
+const lockfileCommands = ["ci", "clean-install", "install-clean"];
+// npm's own npx
+const execCommands = ["exec", "x"];
+
+// npm options with a Guardian equivalent, and those that change nothing Guardian does
+const mappedFlags = { "--save-dev": "dev", "--save-exact": "exact", "--dry-run": "dryRun", "--workspaces": "workspaces", "--ws": "workspaces" };
+const ignoredFlags = ["-S", "--save", "-P", "--save-prod", "--silent", "--quiet", "-q", "--no-audit", "--no-fund"];
+// npm's short options, by the long option they stand for
+const shortFlags = { "-D": "--save-dev", "-E": "--save-exact", "-O": "--save-optional", "-B": "--save-bundle", "-f": "--force", "-C": "--prefix", "-w": "--workspace" };
+const globalFlags = ["-g", "--global", "--location=global"];
+// npm options whose value is the next argument, so that value is not taken for the subcommand
+const valueFlags = ["-w", "--workspace", "-C", "--prefix", "--registry", "--loglevel", "--cache", "--userconfig", "--globalconfig", "--location", "--tag", "--omit", "--include", "--install-strategy", "--before", "--otp", "--scope", "--cpu", "--os", "--libc"];
+const ignoredValueFlags = ["--loglevel"];
+// npm options that change which version npm installs, so Guardian would check another one
+const versionFlags = ["--tag", "--before"];
+const npxIgnoredFlags = ["-y", "--yes"];
+const npxPackageFlags = ["-p", "--package"];
+
+// Single quotes keep $, ` and \ in paths literal
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function renderShim(tool, dir, node, cli) {
+  return `#!/bin/sh
+${shimMarker}: routes ${tool} through Guardian. Remove it with \`guardian shim uninstall\`.
+shim_dir=${shellQuote(dir)}
+# Drop this directory from PATH, so the ${tool} that Guardian and the pass-through run is the real one
+path=""
+old_ifs=$IFS
+IFS=:
+for entry in $PATH; do
+  if [ "$entry" != "$shim_dir" ] && [ "$entry" != "$shim_dir/" ]; then path="\${path:+$path:}$entry"; fi
+done
+IFS=$old_ifs
+PATH=$path
+export PATH
+if [ "$GUARDIAN_SHIM" = "off" ]; then exec ${tool} "$@"; fi
+exec ${shellQuote(node)} ${shellQuote(cli)} shim exec ${tool} -- "$@"
+`;
+}
+
+function isShim(file) {
+  try {
+    return readFileSync(file, "utf8").includes(shimMarker);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Write the npm and npx shims into `dir`. They run `cli` (Guardian's bin/cli.js) with
+ * `node`, and only take effect once `dir` comes first in PATH. Existing shims are
+ * rewritten. Returns the paths written, and throws a ConfigError rather than replace a
+ * file Guardian did not write.
+ */
+export function installShims(dir, { node, cli }) {
+  const files = shimTools.map((tool) => path.join(dir, tool));
+  const foreign = files.find((file) => existsSync(file) && !isShim(file));
+  if (foreign) throw new ConfigError(`${foreign} already exists and was not written by guardian shim install`);
+  mkdirSync(dir, { recursive: true });
+  shimTools.forEach((tool, i) => writeFileSync(files[i], renderShim(tool, dir, node, cli), { mode: 0o755 }));
+  return files;
+}
+
+/**
+ * Remove the shims from `dir`, and `dir` itself when nothing else is left in it.
+ * Returns the paths removed.
+ */
+export function uninstallShims(dir) {
+  const removed = shimTools.map((tool) => path.join(dir, tool)).filter(isShim);
+  for (const file of removed) rmSync(file);
+  if (existsSync(dir) && readdirSync(dir).length === 0) rmdirSync(dir);
+  return removed;
+}
+
+/**
+ * Whether `dir` is on PATH, and comes before every other directory holding one of the
+ * shimmed tools.
+ */
+export function isShimActive(dir, env = process.env) {
+  const entries = (env.PATH || "").split(path.delimiter).filter(Boolean).map((entry) => path.resolve(entry));
+  const index = entries.indexOf(path.resolve(dir));
+  if (index === -1) return false;
+  return !entries.slice(0, index).some((entry) => shimTools.some((tool) => existsSync(path.join(entry, tool))));
+}
+
+function hasConfigFile(dir) {
+  return configFiles.some((file) => existsSync(path.join(dir, file)));
+}
+
+function findUp(from, test) {
+  let dir = path.resolve(from);
+  while (true) {
+    if (test(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * The Guardian project npm would work on from `cwd`, as { root, workspace }: `root` is
+ * the directory Guardian runs in and `workspace` the location of the workspace npm would
+ * install into, or null. Resolves to null when neither the package nor the root of its
+ * workspaces has a Guardian config file.
+ */
+export function findShimProject(cwd) {
+  const packageDir = findUp(cwd, (dir) => existsSync(path.join(dir, "package.json")));
+  if (!packageDir) return null;
+  const parent = path.dirname(packageDir);
+  const root = parent === packageDir ? null : findUp(parent, (dir) => {
+    if (!existsSync(path.join(dir, "package.json"))) return false;
+    try {
+      return listWorkspaces(dir).some((workspace) => workspace.dir === packageDir);
+    } catch (_) {
+      return false;
+    }
+  });
+  if (root && (hasConfigFile(root) || hasConfigFile(packageDir))) {
+    return { root, workspace: path.relative(root, packageDir).split(path.sep).join("/") };
+  }
+  return hasConfigFile(packageDir) ? { root: packageDir, workspace: null } : null;
+}
+
+function unsupported(command, option) {
+  return new ConfigError(`guardian shim cannot translate the ${command} option ${option}. Run Guardian directly, or bypass the shim with GUARDIAN_SHIM=off`);
+}
+
+// "--name=value" as ["--name", "value"], and "--name" as ["--name", null]
+function splitFlag(arg) {
+  const eqIndex = arg.indexOf("=");
+  return eqIndex === -1 ? [arg, null] : [arg.slice(0, eqIndex), arg.slice(eqIndex + 1)];
+}
+
+// Positional arguments and Guardian options of an npm install or update command line.
+// Other npm options are kept in `npmConfig` ({ "legacy-peer-deps": "true" }) for the npm
+// that Guardian runs, and `unsupported` is the first option that cannot be passed on.
+function parseNpmOptions(args) {
+  const parsed = { packages: [], dev: false, exact: false, dryRun: false, workspaces: false, workspace: [], prefix: null, registry: null, npmConfig: {}, unsupported: null };
+  const refuse = (option) => (parsed.unsupported = parsed.unsupported || option);
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("-")) {
+      parsed.packages.push(arg);
+      continue;
+    }
+    if (ignoredFlags.includes(arg)) continue;
+    let [name, value] = splitFlag(arg);
+    name = shortFlags[name] || name;
+    if (name.startsWith("--no-")) {
+      name = `--${name.slice("--no-".length)}`;
+      value = "false";
+    }
+    if (!name.startsWith("--")) {
+      refuse(arg);
+      continue;
+    }
+    if (valueFlags.includes(name) && value === null) {
+      value = args[++i];
+      if (value === undefined) refuse(`${arg} without a value`);
+    } else if (value === null && (args[i + 1] === "true" || args[i + 1] === "false")) {
+      // As in npm, "--save-dev false" sets the option rather than naming a package
+      value = args[++i];
+    }
+    if (mappedFlags[name]) parsed[mappedFlags[name]] = value !== "false";
+    else if (name === "--workspace") parsed.workspace.push(value);
+    else if (name === "--prefix") parsed.prefix = value;
+    else if (name === "--registry") parsed.registry = value;
+    else if (versionFlags.includes(name)) refuse(arg);
+    else if (!ignoredValueFlags.includes(name)) parsed.npmConfig[name.slice(2)] = value === null ? "true" : value;
+  }
+  return parsed;
+}
+
+// The index of npm's subcommand: the first argument that is neither an option nor the
+// value of one, or -1
+function findSubcommand(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("-")) return i;
+    if (valueFlags.includes(args[i])) i++;
+  }
+  return -1;
+}
+
+function isGlobal(args) {
+  return args.some((arg, i) => globalFlags.includes(arg) || (arg === "--location" && args[i + 1] === "global"));
+}
+
+// The package to run and the arguments of its executable, from npx or npm exec
+// positionals. With -p/--package the first positional names the executable instead.
+function toUseRoute(packages, positionals) {
+  if (packages.length > 1) throw unsupported("npx", "--package given more than once");
+  if (packages.length === 1) {
+    if (positionals.length === 0) return null;
+    return { command: "use", package: packages[0], bin: positionals[0], args: positionals.slice(1) };
+  }
+  if (positionals.length === 0) return null;
+  return { command: "use", package: positionals[0], bin: null, args: positionals.slice(1) };
+}
+
+// The value of -p/--package at args[i], and the index of its last argument
+function readPackageFlag(command, args, i) {
+  const [name, value] = splitFlag(args[i]);
+  if (value !== null) return [value, i];
+  if (args[i + 1] === undefined) throw unsupported(command, `${name} without a value`);
+  return [args[i + 1], i + 1];
+}
+
+// npx reads its own options up to the package, and passes everything after it on
+function routeNpx(args) {
+  const packages = [];
+  let i = 0;
+  while (i < args.length && args[i].startsWith("-")) {
+    if (args[i] === "--") {
+      i++;
+      break;
+    }
+    if (npxPackageFlags.includes(splitFlag(args[i])[0])) {
+      const [pkg, last] = readPackageFlag("npx", args, i);
+      packages.push(pkg);
+      i = last;
+    } else if (!npxIgnoredFlags.includes(args[i])) {
+      throw unsupported("npx", args[i]);
+    }
+    i++;
+  }
+  return toUseRoute(packages, args.slice(i));
+}
+
+// npm exec reads every option before "--" as its own, and passes what follows on
+function routeExec(command, args) {
+  const separator = args.indexOf("--");
+  const options = separator === -1 ? args : args.slice(0, separator);
+  const packages = [];
+  const positionals = [];
+  for (let i = 0; i < options.length; i++) {
+    if (!options[i].startsWith("-")) positionals.push(options[i]);
+    else if (npxPackageFlags.includes(splitFlag(options[i])[0])) {
+      const [pkg, last] = readPackageFlag(`npm ${command}`, options, i);
+      packages.push(pkg);
+      i = last;
+    } else if (!npxIgnoredFlags.includes(options[i])) {
+      throw unsupported(`npm ${command}`, options[i]);
+    }
+  }
+  if (separator !== -1) positionals.push(...args.slice(separator + 1));
+  return toUseRoute(packages, positionals);
+}
+
+/**
+ * What the shimmed `tool` ("npm" or "npx") called with `args` becomes in Guardian:
+ * { command: "install", packages, dev, exact, dryRun, workspaces, workspace, prefix,
+ * registry, npmConfig }, { command: "update", ... } with the same options,
+ * { command: "check", prefix, registry } for installs of the lockfile, which run npm with `args`
+ * untouched once `guardian check` passes, or { command: "use", package, bin, args } for
+ * npx and `npm exec`. `npmConfig` holds the npm options Guardian passes on to the npm it
+ * runs. Resolves to null for what passes through to npm untouched: other subcommands and
+ * global installs. Throws a ConfigError for options that would make npm install other
+ * versions than Guardian checks, such as --tag, rather than silently dropping them.
+ */
+export function routeShimCommand(tool, args) {
+  if (tool === "npx") return routeNpx(args);
+
+  const index = findSubcommand(args);
+  const command = index === -1 ? null : args[index];
+  if (isGlobal(args)) return null;
+  if (execCommands.includes(command)) return routeExec(command, [...args.slice(0, index), ...args.slice(index + 1)]);
+  if (!installCommands.includes(command) && !updateCommands.includes(command) && !lockfileCommands.includes(command)) return null;
+
+  const { unsupported: option, ...options } = parseNpmOptions([...args.slice(0, index), ...args.slice(index + 1)]);
+  if (lockfileCommands.includes(command) || (installCommands.includes(command) && options.packages.length === 0)) {
+    return { command: "check", prefix: options.prefix, registry: options.registry };
+  }
+  if (option) throw unsupported(`npm ${command}`, option);
+  return { command: updateCommands.includes(command) ? "update" : "install", ...options };
+}
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { RegistryError } from "./errors.js";
+import { registryFetch, fetchPackageMeta, prefetchPackageMeta, getRegistryUrl, getAuthHeaders } from "./registry.js";
+import { matchesPackagePattern, isExcluded } from "./config.js";
+
+const keysCache = new Map();
+
+/**
+ * The public keys `registryUrl` signs packages with, from its /-/npm/v1/keys endpoint.
+ * A registry without that endpoint has no keys. Cached for the life of the process.
+ */
+export async function fetchRegistryKeys(registryUrl, config) {
+  if (keysCache.has(registryUrl)) return keysCache.get(registryUrl);
+  const res = await registryFetch(`${registryUrl}-/npm/v1/keys`, {
+    headers: { accept: "application/json", ...getAuthHeaders(registryUrl, config) },
+  }, `signing keys from ${registryUrl}`, config);
+  if (res.status === 404) {
+    keysCache.set(registryUrl, []);
+    return [];
+  }
+  if (!res.ok) {
+    throw new RegistryError(`Failed to fetch signing keys from ${registryUrl} (HTTP ${res.status})`, res.status);
+  }
+  const { keys = [] } = await res.json();
+  keysCache.set(registryUrl, keys);
+  return keys;
+}
+
+/**
+ * Check the registry's ECDSA signature of name@version over "name@version:integrity".
+ * Resolves to null when a signature made by a key valid at publish time verifies, or
+ * to the reason it does not.
+ */
+export async function verifyRegistrySignature(name, version, meta, config) {
+  const { dist = {} } = meta.versions[version];
+  if (!dist.signatures || dist.signatures.length === 0) return "has no registry signature";
+
+  const keys = await fetchRegistryKeys(getRegistryUrl(name, config), config);
+  if (keys.length === 0) return "is signed, but the registry publishes no signing keys";
+  const published = meta.time && meta.time[version] ? new Date(meta.time[version]) : new Date();
+  const message = `${name}@${version}:${dist.integrity}`;
+  for (const { keyid, sig } of dist.signatures) {
+    const key = keys.find((candidate) => candidate.keyid === keyid);
+    if (!key || (key.expires && new Date(key.expires) < published)) continue;
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(key.key, "base64"), format: "der", type: "spki" });
+    if (crypto.verify("sha256", Buffer.from(message), publicKey, Buffer.from(sig, "base64"))) return null;
+  }
+  return "has an invalid registry signature or one made with an unknown or expired key";
+}
+
+/**
+ * The package URL of name@version, as npm puts it in provenance statements.
+ */
+export function getPurl(name, version) {
+  return `pkg:npm/${name.replace(/^@/, "%40")}@${version}`;
+}
+
+/**
+ * Check the Sigstore provenance attestation of name@version: the bundle must verify
+ * against the public Sigstore trust root and its subject must be this exact tarball.
+ * Resolves to null when it does, or to the reason it does not.
+ */
+export async function verifyProvenance(name, version, meta, config) {
+  const { dist = {} } = meta.versions[version];
+  if (!dist.attestations || !dist.attestations.url) return "has no provenance attestation";
+
+  const registryUrl = getRegistryUrl(name, config);
+  const res = await registryFetch(dist.attestations.url, {
+    headers: { accept: "application/json", ...getAuthHeaders(registryUrl, config) },
+  }, `the attestations of ${name}@${version}`, config);
+  if (!res.ok) {
+    throw new RegistryError(`Failed to fetch the attestations of ${name}@${version} (HTTP ${res.status})`, res.status);
+  }
+  const { attestations = [] } = await res.json();
+  const provenance = attestations.find((attestation) => /^https:\/\/slsa\.dev\/provenance\//.test(attestation.predicateType));
+  if (!provenance) return "has no provenance attestation";
+
+  // sigstore is only loaded when a provenance bundle has to be checked
+  const { verify, TUFError } = await import("sigstore");
+  try {
+    await verify(provenance.bundle);
+  } catch (err) {
+    // The Sigstore trust root could not be fetched, which says nothing about the bundle
+    if (err instanceof TUFError) throw new RegistryError(`Failed to fetch the Sigstore trust root: ${err.message}`);
+    return `has a provenance attestation that could not be verified: ${err.message}`;
+  }
+  const statement = JSON.parse(Buffer.from(provenance.bundle.dsseEnvelope.payload, "base64").toString("utf8"));
+  const sha512 = dist.integrity && dist.integrity.startsWith("sha512-")
+    ? Buffer.from(dist.integrity.slice("sha512-".length), "base64").toString("hex")
+    : null;
+  const matches = (statement.subject || []).some((subject) => subject.name === getPurl(name, version) && subject.digest && subject.digest.sha512 === sha512);
+  return matches ? null : "has a provenance attestation for a different package or tarball";
+}
+
+/**
+ * Check `packages` ([{ name, version, entry }], `entry` being the package-lock.json entry
+ * when there is one) against `config.verifySignatures` and `config.requireProvenance`.
+ * With verifySignatures, every package needs a valid registry signature and a locked
+ * `integrity` equal to the registry's. Packages matching requireProvenance need a valid
+ * provenance attestation. Resolves to [{ name, version, problems: [{ policy, message }] }]
+ * for the packages that fail, `policy` being "signatures" or "provenance".
+ */
+export async function verifyPackages(packages, config) {
+  const requireProvenance = config.requireProvenance || [];
+  if (!config.verifySignatures && requireProvenance.length === 0) return [];
+
+  await prefetchPackageMeta(packages.filter(({ name }) => !isExcluded(name, config)).map(({ name }) => name), config);
+  const unverified = [];
+  for (const { name, version, entry } of packages) {
+    if (isExcluded(name, config)) continue;
+    const meta = await fetchPackageMeta(name, config);
+    if (!meta.versions[version]) continue;
+    const problems = [];
+    if (config.verifySignatures) {
+      const signature = await verifyRegistrySignature(name, version, meta, config);
+      if (signature) problems.push({ policy: "signatures", message: signature });
+      const integrity = meta.versions[version].dist && meta.versions[version].dist.integrity;
+      if (entry && entry.integrity && integrity && entry.integrity !== integrity) {
+        problems.push({ policy: "signatures", message: `is locked with integrity ${entry.integrity}, but the registry has ${integrity}` });
+      }
+    }
+    if (matchesPackagePattern(name, requireProvenance)) {
+      const provenance = await verifyProvenance(name, version, meta, config);
+      if (provenance) problems.push({ policy: "provenance", message: provenance });
+    }
+    if (problems.length > 0) unverified.push({ name, version, problems });
+  }
+  return unverified;
+}
@@ -0,0 +1,184 @@
+import semver from "semver";
+import { ConfigError } from "./errors.js";
+import { fetchPackageMeta, fetchFullPackageMeta, prefetchPackageMeta, prefetchFullPackageMeta, fetchAdvisories, getAffectingAdvisories } from "./registry.js";
+import { getAgeDays, getEligibleVersions, findSecurityFix } from "./versions.js";
+import { readLockfile, getLockedPackages } from "./project.js";
+import { verifyPackages } from "./signatures.js";
+import { findLicenseViolations } from "./licenses.js";
+import { isExcluded, getMinAge } from "./config.js";
+
+/**
+ * Locked packages younger than their minimum age (getMinAge), as
+ * [{ name, version, published, ageDays, minAge }]. `published` and `ageDays` are null
+ * when the registry has no publish date for the version.
+ */
+export async function findYoungPackages(lockedPackages, config) {
+  await prefetchPackageMeta(lockedPackages.filter(({ name }) => !isExcluded(name, config)).map(({ name }) => name), config);
+  const violations = [];
+  const seen = new Set();
+  for (const { name, version } of lockedPackages) {
+    const key = `${name}@${version}`;
+    if (seen.has(key) || isExcluded(name, config)) continue;
+    seen.add(key);
+    const minAge = getMinAge(name, config);
+    const meta = await fetchPackageMeta(name, config);
+    const publishedDate = meta.time && meta.time[version];
+    if (!publishedDate) {
+      violations.push({ name, version, published: null, ageDays: null, minAge });
+      continue;
+    }
+    const ageDays = getAgeDays(publishedDate);
+    if (ageDays < minAge) violations.push({ name, version, published: publishedDate, ageDays, minAge });
+  }
+  return violations;
+}
+
+/**
+ * The newest version of `name` old enough for every range the tree declares for it,
+ * or null when there is none.
+ */
+export async function findPinnableVersion(name, lock, config) {
+  const ranges = [];
+  for (const [location, entry] of Object.entries(lock.packages)) {
+    if (location === "") continue;
+    for (const field of ["dependencies", "optionalDependencies", "peerDependencies"]) {
+      const range = entry[field] && entry[field][name];
+      if (range) ranges.push(range);
+    }
+  }
+  if (ranges.some((range) => !semver.validRange(range))) return null;
+
+  const meta = await fetchPackageMeta(name, config);
+  const candidates = getEligibleVersions(meta, null, getMinAge(name, config))
+    .filter((v) => ranges.every((range) => semver.satisfies(v, range)));
+  return semver.maxSatisfying(candidates, "*");
+}
+
+/**
+ * Whether `name` is declared by the lockfile entry at `location`: the root ("") or a
+ * workspace ("packages/a").
+ */
+export function isDirectDependency(name, lock, location = "") {
+  const root = lock.packages[location] || {};
+  return ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"]
+    .some((field) => root[field] && root[field][name]);
+}
+
+export function hasInstallScript(manifest) {
+  if (!manifest) return false;
+  if (manifest.hasInstallScript) return true;
+  const scripts = manifest.scripts || {};
+  return ["preinstall", "install", "postinstall"].some((name) => scripts[name]);
+}
+
+/**
+ * Locked packages that run lifecycle install scripts, as [{ name, version, scripts }],
+ * read from the version manifests of their full packuments.
+ */
+export async function findInstallScripts(lockedPackages, config) {
+  await prefetchFullPackageMeta(lockedPackages.map(({ name }) => name), config);
+  const found = [];
+  const seen = new Set();
+  for (const { name, version, entry } of lockedPackages) {
+    const key = `${name}@${version}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const meta = await fetchFullPackageMeta(name, config);
+    const manifest = meta.versions[version];
+    if ((entry && entry.hasInstallScript) || hasInstallScript(manifest)) {
+      const scripts = (manifest && manifest.scripts) || {};
+      const lifecycle = ["preinstall", "install", "postinstall"].filter((script) => scripts[script]);
+      found.push({ name, version, scripts: lifecycle });
+    }
+  }
+  return found;
+}
+
+/**
+ * Locked packages affected by a known advisory, as [{ name, version, advisories }].
+ */
+export async function findVulnerablePackages(lockedPackages, config) {
+  const versionsByName = {};
+  for (const { name, version } of lockedPackages) {
+    if (isExcluded(name, config)) continue;
+    versionsByName[name] = [...new Set([...(versionsByName[name] || []), version])];
+  }
+  if (Object.keys(versionsByName).length === 0) return [];
+
+  const advisories = await fetchAdvisories(versionsByName, config);
+  const vulnerable = [];
+  for (const [name, versions] of Object.entries(versionsByName)) {
+    for (const version of versions) {
+      const affecting = getAffectingAdvisories(advisories[name], version);
+      if (affecting.length > 0) vulnerable.push({ name, version, advisories: affecting });
+    }
+  }
+  return vulnerable;
+}
+
+// Whether `version` is the release findSecurityFix picks for the stable version before
+// it, which install and update take through the cooldown with `allowSecurityFixes`
+async function isSecurityFixRelease(name, version, config) {
+  const meta = await fetchPackageMeta(name, config);
+  const previous = semver.rsort(Object.keys(meta.versions).filter((v) => semver.lt(v, version) && !semver.prerelease(v)))[0];
+  if (!previous) return false;
+  const fix = await findSecurityFix(name, meta, null, previous, config);
+  return Boolean(fix) && fix.version === version;
+}
+
+// Split the too-young `violations` into those that stand and the direct dependencies
+// that are security fixes install let through, as { violations, securityFixes }
+async function separateSecurityFixes(violations, lock, config) {
+  if (!config.allowSecurityFixes) return { violations, securityFixes: [] };
+  // The root and the workspaces declare the direct dependencies
+  const roots = Object.keys(lock.packages).filter((location) => !location.includes("node_modules"));
+  const kept = [];
+  const securityFixes = [];
+  for (const violation of violations) {
+    let fix = false;
+    if (violation.ageDays !== null && roots.some((location) => isDirectDependency(violation.name, lock, location))) {
+      try {
+        fix = await isSecurityFixRelease(violation.name, violation.version, config);
+      } catch (_) {
+        // Without advisories the release cannot be told apart from any young one
+      }
+    }
+    (fix ? securityFixes : kept).push(violation);
+  }
+  return { violations: kept, securityFixes };
+}
+
+/**
+ * Check every package locked in the project's package-lock.json against its minimum age,
+ * and against `verifySignatures`, `requireProvenance` and `licenses` when they are set.
+ * Resolves to { checked, violations, securityFixes, unverified, licenses, passed, skipped }:
+ * `violations` lists the packages that are too young, `securityFixes` the direct
+ * dependencies that are too young but allowed by `allowSecurityFixes` as install allows
+ * them, `unverified` those verifyPackages refused,
+ * `licenses` what findLicenseViolations reported, and `passed` is false only when block
+ * mode refuses any of them. Nothing is checked in "off" mode. Throws a
+ * ConfigError without a supported package-lock.json.
+ */
+export async function checkTree(config) {
+  const lock = readLockfile(config.cwd);
+  if (!lock) throw new ConfigError("No package-lock.json found in current directory");
+  if (!lock.packages) {
+    throw new ConfigError(`Unsupported lockfileVersion ${lock.lockfileVersion}. Only package-lock.json v2 and v3 are supported.`);
+  }
+  if (config.mode === "off") return { checked: 0, violations: [], securityFixes: [], unverified: [], licenses: [], passed: true, skipped: true };
+
+  const lockedPackages = getLockedPackages(lock);
+  const { violations, securityFixes } = await separateSecurityFixes(await findYoungPackages(lockedPackages, config), lock, config);
+  const unverified = await verifyPackages(lockedPackages, config);
+  const licenses = await findLicenseViolations(lockedPackages, config);
+  const refused = violations.length > 0 || unverified.length > 0 || licenses.some((license) => license.refused);
+  return {
+    checked: lockedPackages.length,
+    violations,
+    securityFixes,
+    unverified,
+    licenses,
+    passed: !refused || config.mode !== "block",
+    skipped: false,
+  };
+}
@@ -0,0 +1,100 @@
+import crypto from "crypto";
+import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync, rmSync } from "fs";
+import path from "path";
+import { ConfigError } from "./errors.js";
+import { getCacheDir } from "./cache.js";
+
+// Options that decide which versions `guardian use` may run
+const policyOptions = ["minAge", "rules", "exclude", "mode", "transitive", "scriptsMode", "allowScripts", "riskMode", "verifySignatures", "requireProvenance", "allowSecurityFixes", "allowAdvisoryErrors", "licenses", "registry"];
+
+function getAllowlistPath(config) {
+  return path.join(getCacheDir(config), "use.json");
+}
+
+/**
+ * The directory `guardian use` installs name@version into, with its own package.json
+ * and package-lock.json, inside the cache directory.
+ */
+export function getUseDir(name, version, config) {
+  return path.join(getCacheDir(config), "use", `${name.replace("/", "+")}@${version}`);
+}
+
+/**
+ * Empty `dir` and make it a project `guardian use` can install into. The project's
+ * .npmrc is copied, so npm finds the same registries and credentials there.
+ */
+export function prepareUseDir(dir, config) {
+  rmSync(dir, { recursive: true, force: true });
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, "package.json"), `${JSON.stringify({ name: "guardian-use", private: true }, null, 2)}\n`);
+  const npmrc = path.join(config.cwd, ".npmrc");
+  if (existsSync(npmrc)) copyFileSync(npmrc, path.join(dir, ".npmrc"));
+}
+
+/**
+ * The versions `guardian use` approved, as { [spec]: { name, version, approvedAt, policy } }
+ * keyed by the package spec as it was requested.
+ */
+export function readUseAllowlist(config) {
+  const file = getAllowlistPath(config);
+  if (!existsSync(file)) return {};
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ConfigError(`Error reading ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * A hash of what an approval was checked against: the policy options of `config` and
+ * the registries of its .npmrc settings. The cache is shared by every project, so an
+ * approval is only reused under the same policy.
+ */
+export function getUsePolicyHash(config) {
+  const registries = Object.entries(config.npmrc || {}).filter(([key]) => key === "registry" || key.endsWith(":registry")).sort();
+  const policy = [...policyOptions.map((option) => [option, config[option] ?? null]), ["npmrc", registries]];
+  return crypto.createHash("sha256").update(JSON.stringify(policy)).digest("hex");
+}
+
+/**
+ * The approval `guardian use` recorded for `spec` under the policy of `config`, as
+ * { name, version, approvedAt, policy }, or null.
+ */
+export function getApprovedRun(spec, config) {
+  const approved = readUseAllowlist(config)[spec];
+  return approved && approved.policy === getUsePolicyHash(config) ? approved : null;
+}
+
+/**
+ * Record that `spec` runs name@version from now on under the policy of `config`, until
+ * it is approved again.
+ */
+export function recordApprovedRun(spec, { name, version }, config) {
+  const file = getAllowlistPath(config);
+  const entry = { name, version, approvedAt: new Date().toISOString(), policy: getUsePolicyHash(config) };
+  const allowlist = { ...readUseAllowlist(config), [spec]: entry };
+  try {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, `${JSON.stringify(allowlist, null, 2)}\n`);
+  } catch (err) {
+    throw new ConfigError(`Error writing ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * The executable of `name` installed in `dir`, picked the way npx picks it: the only
+ * one, or the one named after the package (without its scope). `bin` picks another.
+ * Throws a ConfigError when there is no such executable.
+ */
+export function findPackageBin(dir, name, bin = null) {
+  const manifestPath = path.join(dir, "node_modules", name, "package.json");
+  if (!existsSync(manifestPath)) throw new ConfigError(`${name} is not installed in ${dir}`);
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  const unscoped = name.replace(/^@[^/]+\//, "");
+  const bins = typeof manifest.bin === "string" ? [unscoped] : Object.keys(manifest.bin || {});
+  const chosen = bin || (bins.length === 1 ? bins[0] : bins.find((candidate) => candidate === unscoped));
+  if (bins.length === 0) throw new ConfigError(`${name} has no executables`);
+  if (!chosen) throw new ConfigError(`${name} has several executables: ${bins.join(", ")}. Choose one with --bin`);
+  if (!bins.includes(chosen)) throw new ConfigError(`${name} has no executable named ${chosen}. Available: ${bins.join(", ")}`);
+  return path.join(dir, "node_modules", ".bin", chosen);
+}
@@ -0,0 +1,259 @@
+import semver from "semver";
+import { ConfigError, PolicyError } from "./errors.js";
+import { fetchPackageMeta, fetchAdvisories, getAffectingAdvisories, rethrowAdvisoryError } from "./registry.js";
+import { getSeverityValue } from "./audit.js";
+import { isExcluded, getMinAge } from "./config.js";
+import { getInstalledVersion, getPackageDir } from "./project.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Split "name@range" (or "@scope/name@range") into [name, range], range being null
+ * when there is none.
+ */
+export function splitPkgSpec(pkgSpec) {
+  const atIndex = pkgSpec.lastIndexOf("@");
+  if (atIndex > 0) return [pkgSpec.slice(0, atIndex), pkgSpec.slice(atIndex + 1)];
+  return [pkgSpec, null];
+}
+
+/**
+ * Whether a range declared in package.json selects registry versions: a semver range or
+ * a dist-tag, and not a git URL, path, `npm:` alias or `workspace:` protocol. Dist-tags
+ * follow npm's rule of needing no URL encoding.
+ */
+export function isRegistrySpec(spec) {
+  return Boolean(semver.validRange(spec)) || (spec !== "" && encodeURIComponent(spec) === spec);
+}
+
+/**
+ * Whole days since `publishedDate`.
+ */
+export function getAgeDays(publishedDate) {
+  const published = new Date(publishedDate).getTime();
+  return Math.floor((Date.now() - published) / DAY_MS);
+}
+
+/**
+ * The ISO date a version published at `publishedDate` becomes `minAge` days old, as
+ * getAgeDays counts them (whole days).
+ */
+export function getEligibleDate(publishedDate, minAge) {
+  return new Date(new Date(publishedDate).getTime() + Math.ceil(minAge) * DAY_MS).toISOString();
+}
+
+// "beta" for 2.0.0-beta.3, null for a stable version
+function getChannel(version) {
+  const prerelease = semver.prerelease(version);
+  return prerelease ? String(prerelease[0]) : null;
+}
+
+/**
+ * Versions of a packument that `spec` selects (every version when it is null). A semver
+ * range matches as in npm, so prereleases only match when the range names one. A dist-tag
+ * matches its tagged version and the older versions of the same line: stable versions
+ * for a stable tag, or the same prerelease identifier ("beta", "rc") for a prerelease
+ * one. Throws a ConfigError when `spec` is neither.
+ */
+export function getMatchingVersions(meta, spec) {
+  const versions = Object.keys(meta.versions);
+  if (!spec) return versions;
+  if (semver.validRange(spec)) return versions.filter((v) => semver.satisfies(v, spec));
+  const tagged = meta["dist-tags"] && meta["dist-tags"][spec];
+  if (!tagged) throw new ConfigError(`${meta.name}@${spec} is neither a version range nor a dist-tag of ${meta.name}`);
+  const channel = getChannel(tagged);
+  return versions.filter((v) => semver.lte(v, tagged) && getChannel(v) === channel);
+}
+
+/**
+ * Versions of a packument with a publish date at least `minAge` days old that
+ * `range` selects (a semver range or a dist-tag; every version when `range` is null).
+ */
+export function getEligibleVersions(meta, range, minAge = 0) {
+  return getMatchingVersions(meta, range).filter((v) => {
+    const publishedDate = meta.time && meta.time[v];
+    return publishedDate && getAgeDays(publishedDate) >= minAge;
+  });
+}
+
+/**
+ * The versions "name@range" may install. No range means the `latest` dist-tag, as in
+ * npm. Returns { spec, tag, matching, candidates, skippedDeprecated }: `matching` has
+ * every published version `spec` selects, `candidates` those at least `minAge` days old
+ * without the deprecated ones (unless every one is deprecated), `skippedDeprecated` the
+ * deprecated versions newer than every candidate, and `tag` is { name, version } when
+ * `spec` is a dist-tag.
+ */
+export function selectCandidates(meta, range, minAge = 0) {
+  const distTags = meta["dist-tags"] || {};
+  const spec = range || (distTags.latest ? "latest" : "*");
+  const tag = !semver.validRange(spec) && distTags[spec] ? { name: spec, version: distTags[spec] } : null;
+  const matching = getEligibleVersions(meta, spec);
+  const oldEnough = matching.filter((v) => getAgeDays(meta.time[v]) >= minAge);
+  const supported = oldEnough.filter((v) => !meta.versions[v].deprecated);
+  const candidates = supported.length > 0 ? supported : oldEnough;
+  const newest = candidates.length > 0 ? semver.rsort([...candidates])[0] : null;
+  const skippedDeprecated = newest ? semver.sort(oldEnough.filter((v) => !candidates.includes(v) && semver.gt(v, newest))) : [];
+  return { spec, tag, matching, candidates, skippedDeprecated };
+}
+
+/**
+ * The range an update may pick from: the range (or dist-tag) declared in package.json
+ * by default, or one widened to `target` ("patch", "minor", "major" or "latest").
+ * `declaredRange` must be a registry spec (see isRegistrySpec).
+ */
+export function getUpdateRange(meta, declaredRange, current, target) {
+  const distTags = meta["dist-tags"] || {};
+  if (!target) return declaredRange;
+  if (target === "major") return "*";
+  if (target === "latest") return distTags.latest ? `<=${distTags.latest}` : "*";
+  const base = semver.valid(current) || (semver.validRange(declaredRange) && semver.minVersion(declaredRange).version);
+  if (!base) return declaredRange;
+  const { major, minor } = semver.parse(base);
+  return target === "patch" ? `>=${base} <${major}.${minor + 1}.0` : `>=${base} <${major + 1}.0.0`;
+}
+
+/**
+ * Find the newest candidate that no known advisory affects. Resolves to
+ * { newest, safe, affecting, error }: `safe` is null when every candidate is affected,
+ * `affecting` lists the advisories of `newest`, and `error` is set when advisories
+ * could not be fetched and rethrowAdvisoryError lets that through (every candidate is
+ * then treated as safe).
+ */
+export async function findSafeVersion(pkg, candidates, config) {
+  const sorted = semver.rsort([...candidates]);
+  const newest = sorted[0];
+  if (!newest) throw new PolicyError(`Could not resolve a valid version for ${pkg}`, "minAge", [{ name: pkg }]);
+  if (config.mode === "off") return { newest, safe: newest, affecting: [] };
+
+  let advisories;
+  try {
+    advisories = (await fetchAdvisories({ [pkg]: candidates }, config))[pkg] || [];
+  } catch (err) {
+    rethrowAdvisoryError(err, config);
+    return { newest, safe: newest, affecting: [], error: err };
+  }
+
+  const safe = sorted.find((v) => getAffectingAdvisories(advisories, v).length === 0) || null;
+  return { newest, safe, affecting: getAffectingAdvisories(advisories, newest) };
+}
+
+/**
+ * With `config.allowSecurityFixes` ("critical" or "high"), look for the release that
+ * fixes the advisories of that severity or above affecting `current` (the installed or
+ * locked version). Resolves to { version, current, fixes } where `version` is the
+ * lowest version `range` selects above `current` that no such advisory affects,
+ * whatever its age, and `fixes` the advisories it fixes. Resolves to null when the
+ * option is off or `current` is not affected.
+ */
+export async function findSecurityFix(name, meta, range, current, config) {
+  if (!config.allowSecurityFixes || !current || !semver.valid(current)) return null;
+  const { matching } = selectCandidates(meta, range, 0);
+  const newer = semver.sort(matching.filter((v) => semver.gt(v, current)));
+  if (newer.length === 0) return null;
+
+  const threshold = getSeverityValue(config.allowSecurityFixes);
+  const advisories = ((await fetchAdvisories({ [name]: [current, ...newer] }, config))[name] || [])
+    .filter((advisory) => getSeverityValue(advisory.severity) >= threshold);
+  const fixes = getAffectingAdvisories(advisories, current);
+  if (fixes.length === 0) return null;
+  const version = newer.find((v) => getAffectingAdvisories(advisories, v).length === 0);
+  return version ? { version, current, fixes } : null;
+}
+
+/**
+ * Whether a findSecurityFix result has to bypass the cooldown: `safe`, the version
+ * resolved among old enough candidates (or null), does not fix the same advisories.
+ */
+export function needsCooldownBypass(securityFix, safe) {
+  if (!securityFix) return false;
+  return !safe || !semver.gt(safe, securityFix.current) || getAffectingAdvisories(securityFix.fixes, safe).length > 0;
+}
+
+/**
+ * Resolve "name", "name@version", "name@range" or "name@tag" to the newest version that
+ * is at least its minimum age (getMinAge) old, not deprecated (unless every one is) and, unless
+ * `config.mode` is "off", not affected by a known advisory. Candidates are chosen by
+ * selectCandidates. When findSecurityFix finds a fix for the installed version that
+ * those candidates do not reach, the fix is resolved instead, even under the minimum
+ * age. Resolves to { name, range, version, published, ageDays, excluded, newest,
+ * affecting, vulnerable, advisoryError, tag, deprecated, skippedDeprecated, securityFix },
+ * `deprecated` being the deprecation message of the resolved version or null, and
+ * `securityFix` the findSecurityFix result when the cooldown was bypassed.
+ * Excluded packages are not looked up and resolve with `excluded: true` and a null version.
+ * Throws a PolicyError when no version is old enough, or when block mode refuses every
+ * eligible version because of high or critical advisories, and a RegistryError when
+ * block mode cannot fetch the advisories.
+ */
+export async function resolveSafeVersion(pkgSpec, config) {
+  const [name, range] = splitPkgSpec(pkgSpec);
+  const result = {
+    name,
+    range,
+    version: null,
+    published: null,
+    ageDays: null,
+    excluded: false,
+    newest: null,
+    affecting: [],
+    vulnerable: false,
+    advisoryError: null,
+    tag: null,
+    deprecated: null,
+    skippedDeprecated: [],
+    securityFix: null,
+  };
+  if (isExcluded(name, config)) return { ...result, excluded: true };
+
+  const meta = await fetchPackageMeta(name, config);
+  const minAge = getMinAge(name, config);
+  const { tag, candidates, skippedDeprecated } = selectCandidates(meta, range, minAge);
+  let securityFix = null;
+  try {
+    securityFix = await findSecurityFix(name, meta, range, getInstalledVersion(name, config.cwd, getPackageDir(config)), config);
+  } catch (_) {
+    // Advisories that cannot be fetched are reported by findSafeVersion
+  }
+  const found = candidates.length > 0 ? await findSafeVersion(name, candidates, config) : null;
+  if (needsCooldownBypass(securityFix, found && found.safe)) {
+    const { version } = securityFix;
+    return {
+      ...result,
+      version,
+      published: meta.time[version],
+      ageDays: getAgeDays(meta.time[version]),
+      newest: version,
+      tag,
+      deprecated: meta.versions[version].deprecated || null,
+      securityFix,
+    };
+  }
+  if (candidates.length === 0) {
+    const message = range
+      ? `No version of ${name} satisfies "${range}" and is at least ${minAge} days old`
+      : `No versions of ${name} are at least ${minAge} days old`;
+    throw new PolicyError(message, "minAge", [{ name, range, minAge }]);
+  }
+
+  const { newest, safe, affecting, error } = found;
+  if (!safe) {
+    const highestSeverity = Math.max(...affecting.map((advisory) => getSeverityValue(advisory.severity)));
+    if (config.mode === "block" && highestSeverity >= 3) {
+      throw new PolicyError(`Every eligible version of ${name} has high or critical vulnerabilities`, "vulnerabilities", [{ name, version: newest, advisories: affecting }]);
+    }
+  }
+  const version = safe || newest;
+  return {
+    ...result,
+    version,
+    published: meta.time[version],
+    ageDays: getAgeDays(meta.time[version]),
+    newest,
+    affecting,
+    vulnerable: !safe,
+    advisoryError: error ? error.message : null,
+    tag,
+    deprecated: meta.versions[version].deprecated || null,
+    skippedDeprecated,
+  };
+}
@@ -0,0 +1,121 @@
+import { readFileSync, existsSync, readdirSync } from "fs";
+import path from "path";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Workspace patterns of the project in `cwd`: the package.json `workspaces` field
+ * (an array, or { packages } as Yarn allows) or the `packages` list of pnpm-workspace.yaml.
+ */
+export function readWorkspacePatterns(cwd) {
+  const pkgPath = path.join(cwd, "package.json");
+  if (existsSync(pkgPath)) {
+    let pkgJson;
+    try {
+      pkgJson = JSON.parse(readFileSync(pkgPath, "utf8"));
+    } catch (err) {
+      throw new ConfigError(`Error reading package.json: ${err.message}`);
+    }
+    const { workspaces } = pkgJson;
+    if (Array.isArray(workspaces)) return workspaces;
+    if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+  }
+
+  const pnpmPath = path.join(cwd, "pnpm-workspace.yaml");
+  if (!existsSync(pnpmPath)) return [];
+  // Only the `packages:` list is needed, so a line-based read is enough
+  const patterns = [];
+  let inPackages = false;
+  for (const line of readFileSync(pnpmPath, "utf8").split(/\r?\n/)) {
+    if (/^\S/.test(line)) inPackages = /^packages\s*:/.test(line);
+    const item = inPackages && line.match(/^\s+-\s*(.+?)\s*$/);
+    if (item) patterns.push(item[1].replace(/^(["'])(.*)\1$/, "$2"));
+  }
+  return patterns;
+}
+
+function segmentToRegExp(segment) {
+  const source = segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+  return new RegExp(`^${source}$`);
+}
+
+function listDirectories(dir) {
+  try {
+    return readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith("."))
+      .map((entry) => entry.name);
+  } catch (_) {
+    return [];
+  }
+}
+
+// Expand a workspace glob ("packages/*", "apps/**", "tools/cli") into relative directories
+function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/^\.\//, "").replace(/\/+$/, "").split("/").filter(Boolean);
+  const matches = [];
+  const walk = (relative, index) => {
+    if (index === segments.length) {
+      matches.push(relative);
+      return;
+    }
+    const segment = segments[index];
+    const dir = path.join(cwd, relative);
+    if (segment === "**") {
+      walk(relative, index + 1);
+      for (const name of listDirectories(dir)) walk(path.posix.join(relative, name), index);
+    } else if (/[*?]/.test(segment)) {
+      const regExp = segmentToRegExp(segment);
+      for (const name of listDirectories(dir)) {
+        if (regExp.test(name)) walk(path.posix.join(relative, name), index + 1);
+      }
+    } else if (existsSync(path.join(dir, segment))) {
+      walk(path.posix.join(relative, segment), index + 1);
+    }
+  };
+  walk("", 0);
+  return matches;
+}
+
+/**
+ * The workspaces of the project in `cwd`, as [{ name, location, dir, manifest }] where
+ * `location` is the path relative to the root (as used in package-lock.json) and `dir`
+ * the absolute one. Patterns starting with "!" exclude directories.
+ */
+export function listWorkspaces(cwd) {
+  const patterns = readWorkspacePatterns(cwd);
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith("!");
+    for (const location of expandPattern(cwd, negated ? pattern.slice(1) : pattern)) {
+      (negated ? excluded : included).add(location);
+    }
+  }
+
+  const workspaces = [];
+  for (const location of [...included].sort()) {
+    const manifestPath = path.join(cwd, location, "package.json");
+    if (excluded.has(location) || location === "" || !existsSync(manifestPath)) continue;
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+    } catch (err) {
+      throw new ConfigError(`Error reading ${path.posix.join(location, "package.json")}: ${err.message}`);
+    }
+    workspaces.push({ name: manifest.name || location, location, dir: path.join(cwd, location), manifest });
+  }
+  return workspaces;
+}
+
+/**
+ * Pick workspaces by name or path, like npm's --workspace. Throws a ConfigError when
+ * one of them is not a workspace of the project.
+ */
+export function selectWorkspaces(cwd, names) {
+  const workspaces = listWorkspaces(cwd);
+  return names.map((name) => {
+    const location = path.posix.normalize(name.replace(/\\/g, "/")).replace(/^\.\//, "").replace(/\/+$/, "");
+    const workspace = workspaces.find((candidate) => candidate.name === name || candidate.location === location);
+    if (!workspace) throw new ConfigError(`No workspace named ${name}. Workspaces: ${workspaces.map((w) => w.name).join(", ") || "none"}`);
+    return workspace;
+  });
+}
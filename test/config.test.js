@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import path from "path";
+import {
+  ConfigError,
+  defaultConfig,
+  loadConfig,
+  validateConfig,
+  parseMinAge,
+  getExclusion,
+  getExpiredExclusions,
+  getPermanentExclusions,
+  getMinAge,
+} from "../lib/index.js";
+import { useTmpDir } from "./helpers.js";
+
+const tmp = useTmpDir();
+
+test("parseMinAge turns every unit into days, whatever its case", () => {
+  assert.equal(parseMinAge(5), 5);
+  assert.equal(parseMinAge("5"), 5);
+  assert.equal(parseMinAge("1D"), 1);
+  assert.equal(parseMinAge("2w"), 14);
+  assert.equal(parseMinAge("1m"), 30);
+  assert.equal(parseMinAge("12h"), 0.5);
+  assert.equal(parseMinAge("48HS"), 2);
+  assert.throws(() => parseMinAge("2x"), ConfigError);
+});
+
+test("validateConfig accepts the minAge formats parseMinAge reads and refuses invalid values", () => {
+  assert.doesNotThrow(() => validateConfig({ ...defaultConfig, minAge: "1D", rules: [{ match: "@acme/*", minAge: "2W" }] }));
+  assert.throws(() => validateConfig({ ...defaultConfig, minAge: "2x" }), /Invalid minAge: "2x"/);
+  assert.throws(() => validateConfig({ ...defaultConfig, mode: "strict" }), /Valid options are: block, warn, off/);
+  // Options the schema does not know are only refused in config files
+  assert.doesNotThrow(() => validateConfig({ ...defaultConfig, cwd: "/", npmrc: {} }));
+});
+
+test("validateConfig refuses exclusions that can never expire", () => {
+  const exclusion = (expires) => ({ ...defaultConfig, exclude: [{ match: "left-pad", reason: "audited", expires }] });
+  assert.doesNotThrow(() => validateConfig(exclusion("2028-02-29")));
+  assert.throws(() => validateConfig(exclusion("2026-13-45")), /exclude\[0\]\.expires: "2026-13-45" is not a calendar date/);
+  assert.throws(() => validateConfig(exclusion("2026-02-29")), ConfigError);
+  assert.throws(() => validateConfig(exclusion("next year")), ConfigError);
+  assert.throws(() => validateConfig({ ...defaultConfig, exclude: [{ match: "left-pad", expires: "2028-01-01" }] }), /is missing "reason"/);
+});
+
+test("getExclusion ignores expired entries and getPermanentExclusions lists plain names", () => {
+  const config = {
+    exclude: [
+      "legacy-lib",
+      { match: "@acme/*", reason: "internal", expires: "2999-01-01" },
+      { match: "old-lib", reason: "audited", expires: "2000-01-01" },
+    ],
+  };
+  assert.deepEqual(getExclusion("legacy-lib", config), { match: "legacy-lib", reason: null, expires: null });
+  assert.equal(getExclusion("@acme/tool", config).reason, "internal");
+  assert.equal(getExclusion("old-lib", config), null);
+  assert.equal(getExclusion("lodash", config), null);
+  assert.deepEqual(getExpiredExclusions(config).map((entry) => entry.match), ["old-lib"]);
+  assert.deepEqual(getPermanentExclusions(config), ["legacy-lib"]);
+});
+
+test("getMinAge takes the last matching rule", () => {
+  const config = { minAge: 7, rules: [{ match: "@acme/*", minAge: 0 }, { match: ["@acme/risky", "left-pad"], minAge: 30 }] };
+  assert.equal(getMinAge("@acme/tool", config), 0);
+  assert.equal(getMinAge("@acme/risky", config), 30);
+  assert.equal(getMinAge("lodash", config), 7);
+});
+
+test("loadConfig reads the config file, normalizes ages and checks the file's options", () => {
+  const project = mkdtempSync(path.join(tmp(), "project-"));
+  writeFileSync(path.join(project, "guardian.config.json"), JSON.stringify({ minAge: "2W", rules: [{ match: "left-pad", minAge: "1d" }] }));
+  const config = loadConfig({ cwd: project, overrides: { mode: "warn" } });
+  assert.equal(config.configFile, "guardian.config.json");
+  assert.equal(config.minAge, 14);
+  assert.equal(config.rules[0].minAge, 1);
+  assert.equal(config.mode, "warn");
+
+  writeFileSync(path.join(project, "guardian.config.json"), JSON.stringify({ minAg: 3 }));
+  assert.throws(() => loadConfig({ cwd: project }), /Unknown option "minAg". Did you mean "minAge"\?/);
+  writeFileSync(path.join(project, "guardian.config.json"), "{ minAge: 3 }");
+  assert.throws(() => loadConfig({ cwd: project }), /Error reading guardian.config.json/);
+});
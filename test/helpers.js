@@ -0,0 +1,83 @@
+import { before, after } from "node:test";
+import http from "http";
+import { mkdtempSync, mkdirSync, rmSync } from "fs";
+import path from "path";
+import os from "os";
+import semver from "semver";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// A packument with `versions` as { version: age in days } or { version: { days, deprecated } }.
+// `latest` is the newest stable version unless `distTags` says otherwise.
+export function packument(name, versions = { "1.0.0": 100 }, distTags = {}) {
+  const meta = { name, "dist-tags": {}, time: {}, versions: {} };
+  for (const [version, spec] of Object.entries(versions)) {
+    const { days, deprecated } = typeof spec === "number" ? { days: spec } : spec;
+    meta.time[version] = daysAgo(days);
+    meta.versions[version] = { name, version, dist: { tarball: "", integrity: "" }, ...(deprecated ? { deprecated } : {}) };
+  }
+  const stable = Object.keys(versions).filter((version) => !semver.prerelease(version));
+  if (stable.length > 0) meta["dist-tags"].latest = semver.rsort(stable)[0];
+  Object.assign(meta["dist-tags"], distTags);
+  return meta;
+}
+
+// A registry on a free local port, under `prefix`. It records every request, serves the
+// packuments of `packages` (or a packument of 1.0.0 for any other name, and 404 for
+// "missing"), and answers the bulk advisory endpoint with the `advisories` of the names
+// asked for.
+export function startRegistry({ prefix = "/", advisories = {}, packages = {} } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization || null, body });
+      res.setHeader("content-type", "application/json");
+      const name = req.url.startsWith(prefix) ? decodeURIComponent(req.url.slice(prefix.length)) : null;
+      if (name === "-/npm/v1/security/advisories/bulk") {
+        const asked = JSON.parse(body);
+        return res.end(JSON.stringify(Object.fromEntries(Object.entries(advisories).filter(([pkg]) => pkg in asked))));
+      }
+      if (name === null || name === "missing") {
+        res.statusCode = 404;
+        return res.end("{}");
+      }
+      res.end(JSON.stringify(packages[name] || packument(name)));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const host = `127.0.0.1:${server.address().port}`;
+      resolve({ url: `http://${host}${prefix}`, host, requests, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+// A temporary directory for the tests of a file, removed after them. It is also HOME
+// meanwhile (os.homedir() follows $HOME), so the user's own .npmrc is never read.
+// Returns a function giving its path.
+export function useTmpDir() {
+  let tmp;
+  let home;
+  before(() => {
+    tmp = mkdtempSync(path.join(os.tmpdir(), "guardian-test-"));
+    home = process.env.HOME;
+    process.env.HOME = path.join(tmp, "home");
+    mkdirSync(process.env.HOME);
+  });
+  after(() => {
+    process.env.HOME = home;
+    rmSync(tmp, { recursive: true, force: true });
+  });
+  return () => tmp;
+}
+
+// Registry requests without retries, cached in a directory of their own
+export function testConfig(cwd, options) {
+  return { cwd, cacheDir: mkdtempSync(path.join(cwd, "cache-")), fetchRetries: 0, fetchTimeout: 5000, mode: "block", minAge: 0, rules: [], exclude: [], ...options };
+}
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import path from "path";
+import {
+  DEFAULT_REGISTRY,
+  RegistryError,
+  loadConfig,
+  parseNpmrc,
+  loadNpmrc,
+  getRegistryUrl,
+  getAuthHeaders,
+  fetchPackageMeta,
+  fetchAdvisories,
+} from "../lib/index.js";
+import { encodePackageName } from "../lib/registry.js";
+import { startRegistry, useTmpDir, testConfig } from "./helpers.js";
+
+const tmp = useTmpDir();
+
+test("parseNpmrc reads settings, skips comments and expands environment variables", () => {
+  process.env.GUARDIAN_TEST_TOKEN = "s3cret";
+  const settings = parseNpmrc([
+    "# comment",
+    "; another comment",
+    "registry = https://registry.example.com/",
+    "@acme:registry=\"https://npm.acme.test/\"",
+    "//npm.acme.test/:_authToken=${GUARDIAN_TEST_TOKEN}",
+    "//npm.acme.test/:email=${GUARDIAN_TEST_UNSET}",
+    "not a setting",
+  ].join("\n"));
+  delete process.env.GUARDIAN_TEST_TOKEN;
+  assert.deepEqual(settings, {
+    registry: "https://registry.example.com/",
+    "@acme:registry": "https://npm.acme.test/",
+    "//npm.acme.test/:_authToken": "s3cret",
+    "//npm.acme.test/:email": "",
+  });
+});
+
+test("loadNpmrc lets the project's .npmrc override the user's", () => {
+  const project = mkdtempSync(path.join(tmp(), "project-"));
+  writeFileSync(path.join(process.env.HOME, ".npmrc"), "registry=https://user.example.com/\n//user.example.com/:_authToken=user-token\n");
+  writeFileSync(path.join(project, ".npmrc"), "registry=https://project.example.com/\n");
+  try {
+    assert.deepEqual(loadNpmrc(project), {
+      registry: "https://project.example.com/",
+      "//user.example.com/:_authToken": "user-token",
+    });
+  } finally {
+    rmSync(path.join(process.env.HOME, ".npmrc"));
+  }
+});
+
+test("loadConfig carries the .npmrc settings of the project", () => {
+  const project = mkdtempSync(path.join(tmp(), "project-"));
+  writeFileSync(path.join(project, ".npmrc"), "@acme:registry=https://npm.acme.test\n");
+  const config = loadConfig({ cwd: project });
+  assert.equal(config.npmrc["@acme:registry"], "https://npm.acme.test");
+  assert.equal(getRegistryUrl("@acme/tool", config), "https://npm.acme.test/");
+});
+
+test("getRegistryUrl prefers the scope's registry, then config, then .npmrc", () => {
+  const npmrc = { registry: "https://npmrc.example.com", "@acme:registry": "https://npm.acme.test/path" };
+  assert.equal(getRegistryUrl("@acme/tool", { npmrc, registry: "https://config.example.com/" }), "https://npm.acme.test/path/");
+  assert.equal(getRegistryUrl("@other/tool", { npmrc, registry: "https://config.example.com/" }), "https://config.example.com/");
+  assert.equal(getRegistryUrl("lodash", { npmrc }), "https://npmrc.example.com/");
+  assert.equal(getRegistryUrl("lodash", {}), DEFAULT_REGISTRY);
+});
+
+test("getAuthHeaders matches credentials from the registry path up to its host", () => {
+  const npmrc = {
+    "//npm.acme.test/team/:_authToken": "team-token",
+    "//npm.acme.test/:_authToken": "host-token",
+    "//basic.example.com/:_auth": "dXNlcjpwYXNz",
+    "//login.example.com/:username": "user",
+    "//login.example.com/:_password": Buffer.from("pass").toString("base64"),
+  };
+  assert.deepEqual(getAuthHeaders("https://npm.acme.test/team/npm/", { npmrc }), { authorization: "Bearer team-token" });
+  assert.deepEqual(getAuthHeaders("https://npm.acme.test/other/", { npmrc }), { authorization: "Bearer host-token" });
+  assert.deepEqual(getAuthHeaders("https://basic.example.com/", { npmrc }), { authorization: "Basic dXNlcjpwYXNz" });
+  assert.deepEqual(getAuthHeaders("https://login.example.com/", { npmrc }), { authorization: `Basic ${Buffer.from("user:pass").toString("base64")}` });
+  assert.deepEqual(getAuthHeaders("https://registry.npmjs.org/", { npmrc }), {});
+});
+
+test("encodePackageName escapes the slash of scoped names only", () => {
+  assert.equal(encodePackageName("@acme/tool"), "@acme%2ftool");
+  assert.equal(encodePackageName("lodash"), "lodash");
+});
+
+test("fetchPackageMeta sends each package to its registry with that registry's token", async () => {
+  const main = await startRegistry();
+  const scoped = await startRegistry({ prefix: "/npm/" });
+  try {
+    const config = testConfig(tmp(), {
+      registry: main.url,
+      npmrc: {
+        "@acme:registry": scoped.url,
+        [`//${scoped.host}/npm/:_authToken`]: "acme-token",
+      },
+    });
+    assert.equal((await fetchPackageMeta("@acme/tool", config)).name, "@acme/tool");
+    assert.equal((await fetchPackageMeta("routed-pkg", config)).name, "routed-pkg");
+
+    assert.deepEqual(scoped.requests.map(({ url, authorization }) => ({ url, authorization })), [{ url: "/npm/@acme%2ftool", authorization: "Bearer acme-token" }]);
+    assert.deepEqual(main.requests.map(({ url, authorization }) => ({ url, authorization })), [{ url: "/routed-pkg", authorization: null }]);
+  } finally {
+    await main.close();
+    await scoped.close();
+  }
+});
+
+test("fetchPackageMeta throws a RegistryError with the HTTP status", async () => {
+  const main = await startRegistry();
+  try {
+    await assert.rejects(fetchPackageMeta("missing", testConfig(tmp(), { registry: main.url })), (err) => err instanceof RegistryError && err.status === 404);
+  } finally {
+    await main.close();
+  }
+});
+
+test("fetchAdvisories queries each registry for its own packages", async () => {
+  const advisory = { id: 1, title: "Bad", severity: "high", url: "https://example.com/1", vulnerable_versions: "<2.0.0" };
+  const main = await startRegistry({ advisories: { lodash: [advisory] } });
+  const scoped = await startRegistry({ prefix: "/npm/" });
+  try {
+    const config = testConfig(tmp(), {
+      registry: main.url,
+      npmrc: { "@acme:registry": scoped.url, [`//${scoped.host}/npm/:_authToken`]: "acme-token" },
+    });
+    const advisories = await fetchAdvisories({ lodash: ["1.0.0"], "@acme/tool": ["1.0.0"] }, config);
+    assert.deepEqual(advisories, { lodash: [advisory] });
+    assert.deepEqual(JSON.parse(main.requests[0].body), { lodash: ["1.0.0"] });
+    assert.deepEqual(JSON.parse(scoped.requests[0].body), { "@acme/tool": ["1.0.0"] });
+    assert.equal(scoped.requests[0].authorization, "Bearer acme-token");
+  } finally {
+    await main.close();
+    await scoped.close();
+  }
+});
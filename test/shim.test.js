@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConfigError, routeShimCommand } from "../lib/index.js";
+
+const installOptions = { dev: false, exact: false, dryRun: false, workspaces: false, workspace: [], prefix: null, registry: null, npmConfig: {} };
+
+test("npm install without packages checks the lockfile whatever its options", () => {
+  for (const args of [
+    ["install"],
+    ["install", "--legacy-peer-deps"],
+    ["i", "--omit=dev", "--save-dev=true"],
+    ["install", "--tag", "beta"],
+    ["ci", "--unknown-flag", "-x"],
+  ]) {
+    assert.deepEqual(routeShimCommand("npm", args), { command: "check", prefix: null, registry: null }, args.join(" "));
+  }
+  assert.deepEqual(routeShimCommand("npm", ["install", "--prefix", "app", "--registry=http://r.test/"]), { command: "check", prefix: "app", registry: "http://r.test/" });
+});
+
+test("npm install with packages maps Guardian's options and passes npm's on", () => {
+  assert.deepEqual(routeShimCommand("npm", ["install", "-D", "--legacy-peer-deps", "lodash", "--omit", "optional", "-E"]), {
+    command: "install",
+    ...installOptions,
+    packages: ["lodash"],
+    dev: true,
+    exact: true,
+    npmConfig: { "legacy-peer-deps": "true", omit: "optional" },
+  });
+  assert.deepEqual(routeShimCommand("npm", ["add", "--save-dev", "false", "-O", "--no-save", "zod"]), {
+    command: "install",
+    ...installOptions,
+    packages: ["zod"],
+    npmConfig: { "save-optional": "true", save: "false" },
+  });
+});
+
+test("npm options before the subcommand, workspaces and --prefix", () => {
+  assert.deepEqual(routeShimCommand("npm", ["-w", "app", "install", "lodash", "--workspace=api", "-C", "sub"]), {
+    command: "install",
+    ...installOptions,
+    packages: ["lodash"],
+    workspace: ["app", "api"],
+    prefix: "sub",
+  });
+  assert.deepEqual(routeShimCommand("npm", ["--loglevel", "silent", "update", "--ws"]), { command: "update", ...installOptions, packages: [], workspaces: true });
+});
+
+test("options that change the versions npm picks stop a named install", () => {
+  assert.throws(() => routeShimCommand("npm", ["install", "--tag", "beta", "react"]), ConfigError);
+  assert.throws(() => routeShimCommand("npm", ["install", "react", "--before=2024-01-01"]), ConfigError);
+  assert.throws(() => routeShimCommand("npm", ["install", "-x", "react"]), /-x/);
+});
+
+test("global installs and other npm commands pass through", () => {
+  assert.equal(routeShimCommand("npm", ["install", "-g", "typescript"]), null);
+  assert.equal(routeShimCommand("npm", ["--location", "global", "install", "typescript"]), null);
+  assert.equal(routeShimCommand("npm", ["run", "build"]), null);
+  assert.equal(routeShimCommand("npm", ["--registry", "http://r.test/", "publish"]), null);
+});
+
+test("npx and npm exec go to guardian use", () => {
+  assert.deepEqual(routeShimCommand("npx", ["-y", "cowsay", "hello", "--flag"]), { command: "use", package: "cowsay", bin: null, args: ["hello", "--flag"] });
+  assert.deepEqual(routeShimCommand("npx", ["-p", "cowsay", "cowthink", "moo"]), { command: "use", package: "cowsay", bin: "cowthink", args: ["moo"] });
+  assert.deepEqual(routeShimCommand("npx", ["--package=typescript", "--", "tsc", "-v"]), { command: "use", package: "typescript", bin: "tsc", args: ["-v"] });
+  assert.deepEqual(routeShimCommand("npm", ["exec", "--yes", "prettier", "--", "--check", "."]), { command: "use", package: "prettier", bin: null, args: ["--check", "."] });
+  assert.deepEqual(routeShimCommand("npm", ["x", "-p", "cowsay", "cowthink"]), { command: "use", package: "cowsay", bin: "cowthink", args: [] });
+  assert.equal(routeShimCommand("npx", []), null);
+  assert.throws(() => routeShimCommand("npx", ["-c", "echo hi"]), ConfigError);
+  assert.throws(() => routeShimCommand("npx", ["-p", "a", "-p", "b", "a"]), ConfigError);
+});
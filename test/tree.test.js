@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import path from "path";
+import { ConfigError, checkTree } from "../lib/index.js";
+import { packument, startRegistry, useTmpDir, testConfig } from "./helpers.js";
+
+const tmp = useTmpDir();
+
+// A project locking `direct` as dependencies of the root and `nested` under them
+function writeProject(direct, nested = {}) {
+  const project = mkdtempSync(path.join(tmp(), "project-"));
+  const dependencies = Object.fromEntries(Object.entries(direct).map(([name, version]) => [name, `^${version}`]));
+  const packages = { "": { name: "app", version: "1.0.0", dependencies } };
+  for (const [name, version] of Object.entries(direct)) packages[`node_modules/${name}`] = { version };
+  for (const [location, version] of Object.entries(nested)) packages[location] = { version };
+  writeFileSync(path.join(project, "package.json"), JSON.stringify({ name: "app", version: "1.0.0", dependencies }));
+  writeFileSync(path.join(project, "package-lock.json"), JSON.stringify({ name: "app", lockfileVersion: 3, requires: true, packages }));
+  return project;
+}
+
+test("checkTree reports locked packages younger than their minimum age", async () => {
+  const registry = await startRegistry({
+    packages: {
+      "old-dep": packument("old-dep", { "1.0.0": 100 }),
+      "young-dep": packument("young-dep", { "1.0.0": 100, "1.1.0": 2 }),
+      "young-nested": packument("young-nested", { "2.0.0": 1 }),
+    },
+  });
+  try {
+    const project = writeProject({ "old-dep": "1.0.0", "young-dep": "1.1.0" }, { "node_modules/old-dep/node_modules/young-nested": "2.0.0" });
+    const config = testConfig(project, { registry: registry.url, minAge: 7 });
+    const result = await checkTree(config);
+    assert.equal(result.checked, 3);
+    assert.deepEqual(result.violations.map(({ name, version, ageDays, minAge }) => ({ name, version, ageDays, minAge })), [
+      { name: "young-dep", version: "1.1.0", ageDays: 2, minAge: 7 },
+      { name: "young-nested", version: "2.0.0", ageDays: 1, minAge: 7 },
+    ]);
+    assert.deepEqual(result.securityFixes, []);
+    assert.equal(result.passed, false);
+    assert.equal((await checkTree({ ...config, mode: "warn" })).passed, true);
+  } finally {
+    await registry.close();
+  }
+});
+
+test("checkTree skips excluded packages and those ruled old enough", async () => {
+  const registry = await startRegistry({
+    packages: {
+      "fresh-a": packument("fresh-a", { "1.0.0": 2 }),
+      "@acme/fresh-b": packument("@acme/fresh-b", { "1.0.0": 2 }),
+    },
+  });
+  try {
+    const project = writeProject({ "fresh-a": "1.0.0", "@acme/fresh-b": "1.0.0" });
+    const config = testConfig(project, {
+      registry: registry.url,
+      minAge: 7,
+      exclude: [{ match: "fresh-a", reason: "audited", expires: "2999-01-01" }],
+      rules: [{ match: "@acme/*", minAge: 1 }],
+    });
+    const result = await checkTree(config);
+    assert.deepEqual(result.violations, []);
+    assert.equal(result.passed, true);
+    assert.deepEqual(registry.requests.map(({ url }) => url), ["/@acme%2ffresh-b"]);
+  } finally {
+    await registry.close();
+  }
+});
+
+test("checkTree allows direct dependencies that are security fixes with allowSecurityFixes", async () => {
+  const advisory = { id: 1, title: "RCE", severity: "critical", url: "https://example.com/1", vulnerable_versions: "<1.1.0" };
+  const registry = await startRegistry({
+    packages: {
+      "fixed-dep": packument("fixed-dep", { "1.0.0": 100, "1.1.0": 2 }),
+      "fixed-nested": packument("fixed-nested", { "1.0.0": 100, "1.1.0": 2 }),
+    },
+    advisories: { "fixed-dep": [advisory], "fixed-nested": [advisory] },
+  });
+  try {
+    const project = writeProject({ "fixed-dep": "1.1.0" }, { "node_modules/fixed-dep/node_modules/fixed-nested": "1.1.0" });
+    const config = testConfig(project, { registry: registry.url, minAge: 7 });
+    const strict = await checkTree(config);
+    assert.deepEqual(strict.violations.map(({ name }) => name), ["fixed-dep", "fixed-nested"]);
+
+    // Only direct dependencies are installed through the cooldown
+    const result = await checkTree({ ...config, allowSecurityFixes: "critical" });
+    assert.deepEqual(result.securityFixes.map(({ name, version }) => `${name}@${version}`), ["fixed-dep@1.1.0"]);
+    assert.deepEqual(result.violations.map(({ name }) => name), ["fixed-nested"]);
+  } finally {
+    await registry.close();
+  }
+});
+
+test("checkTree needs a v2 or v3 package-lock.json and does nothing in off mode", async () => {
+  const empty = mkdtempSync(path.join(tmp(), "empty-"));
+  await assert.rejects(checkTree(testConfig(empty)), (err) => err instanceof ConfigError && /No package-lock.json/.test(err.message));
+
+  const legacy = mkdtempSync(path.join(tmp(), "legacy-"));
+  writeFileSync(path.join(legacy, "package-lock.json"), JSON.stringify({ lockfileVersion: 1, dependencies: {} }));
+  await assert.rejects(checkTree(testConfig(legacy)), /Unsupported lockfileVersion 1/);
+
+  const project = writeProject({ "never-fetched": "1.0.0" });
+  const result = await checkTree(testConfig(project, { mode: "off", registry: "http://127.0.0.1:9/" }));
+  assert.equal(result.skipped, true);
+  assert.equal(result.passed, true);
+});
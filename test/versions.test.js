@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ConfigError,
+  PolicyError,
+  selectCandidates,
+  getUpdateRange,
+  findSecurityFix,
+  resolveSafeVersion,
+} from "../lib/index.js";
+import { needsCooldownBypass } from "../lib/versions.js";
+import { packument, startRegistry, useTmpDir, testConfig } from "./helpers.js";
+
+const tmp = useTmpDir();
+
+const meta = packument("lib", {
+  "1.0.0": 100,
+  "1.1.0": { days: 40, deprecated: "use 1.2" },
+  "1.2.0": 2,
+  "2.0.0-beta.1": 50,
+}, { beta: "2.0.0-beta.1" });
+
+test("selectCandidates keeps old enough versions of the latest line, without deprecated ones", () => {
+  const { spec, tag, matching, candidates, skippedDeprecated } = selectCandidates(meta, null, 30);
+  assert.equal(spec, "latest");
+  assert.deepEqual(tag, { name: "latest", version: "1.2.0" });
+  assert.deepEqual(matching.sort(), ["1.0.0", "1.1.0", "1.2.0"]);
+  assert.deepEqual(candidates, ["1.0.0"]);
+  assert.deepEqual(skippedDeprecated, ["1.1.0"]);
+});
+
+test("selectCandidates follows semver ranges and prerelease dist-tags", () => {
+  assert.deepEqual(selectCandidates(meta, "^1.0.0", 0).candidates.sort(), ["1.0.0", "1.2.0"]);
+  assert.deepEqual(selectCandidates(meta, "^2.0.0-beta.0", 0).candidates, ["2.0.0-beta.1"]);
+  const beta = selectCandidates(meta, "beta", 30);
+  assert.deepEqual(beta.tag, { name: "beta", version: "2.0.0-beta.1" });
+  assert.deepEqual(beta.candidates, ["2.0.0-beta.1"]);
+  assert.throws(() => selectCandidates(meta, "nightly", 0), ConfigError);
+});
+
+test("selectCandidates falls back to deprecated versions when every one is", () => {
+  const deprecated = packument("old", { "1.0.0": { days: 100, deprecated: "gone" } });
+  assert.deepEqual(selectCandidates(deprecated, null, 30).candidates, ["1.0.0"]);
+});
+
+test("getUpdateRange keeps the declared range unless a target widens it", () => {
+  assert.equal(getUpdateRange(meta, "^1.0.0", "1.0.0"), "^1.0.0");
+  assert.equal(getUpdateRange(meta, "^1.0.0", "1.0.0", "patch"), ">=1.0.0 <1.1.0");
+  assert.equal(getUpdateRange(meta, "^1.0.0", "1.0.0", "minor"), ">=1.0.0 <2.0.0");
+  assert.equal(getUpdateRange(meta, "^1.0.0", "1.0.0", "major"), "*");
+  assert.equal(getUpdateRange(meta, "^1.0.0", "1.0.0", "latest"), "<=1.2.0");
+  // Without an installed version the declared range gives the base
+  assert.equal(getUpdateRange(meta, "~1.1.0", null, "patch"), ">=1.1.0 <1.2.0");
+  // A dist-tag has no base to widen
+  assert.equal(getUpdateRange(meta, "beta", null, "minor"), "beta");
+});
+
+test("findSecurityFix finds the lowest release fixing the installed version's advisories", async () => {
+  const advisory = { id: 1, title: "RCE", severity: "high", url: "https://example.com/1", vulnerable_versions: "<1.2.0" };
+  const registry = await startRegistry({ advisories: { lib: [advisory] } });
+  try {
+    const config = testConfig(tmp(), { registry: registry.url, allowSecurityFixes: "high" });
+    const fix = await findSecurityFix("lib", meta, null, "1.0.0", config);
+    assert.deepEqual(fix, { version: "1.2.0", current: "1.0.0", fixes: [advisory] });
+    // 1.1.0, the newest old enough version, is affected too, so the cooldown is bypassed
+    assert.equal(needsCooldownBypass(fix, "1.1.0"), true);
+    assert.equal(needsCooldownBypass(null, "1.1.0"), false);
+
+    assert.equal(await findSecurityFix("lib", meta, null, "1.0.0", { ...config, allowSecurityFixes: "critical" }), null);
+    assert.equal(await findSecurityFix("lib", meta, null, "1.0.0", { ...config, allowSecurityFixes: false }), null);
+    assert.equal(await findSecurityFix("lib", meta, null, "1.2.0", config), null);
+  } finally {
+    await registry.close();
+  }
+});
+
+test("resolveSafeVersion skips vulnerable versions and blocks when none is left", async () => {
+  const registry = await startRegistry({
+    packages: {
+      "safe-lib": packument("safe-lib", { "1.0.0": 100, "1.1.0": 60, "1.2.0": 2 }),
+      "bad-lib": packument("bad-lib", { "1.0.0": 100 }),
+    },
+    advisories: {
+      "safe-lib": [{ id: 2, title: "XSS", severity: "moderate", url: "https://example.com/2", vulnerable_versions: ">=1.1.0" }],
+      "bad-lib": [{ id: 3, title: "RCE", severity: "critical", url: "https://example.com/3", vulnerable_versions: "*" }],
+    },
+  });
+  try {
+    const config = testConfig(tmp(), { registry: registry.url, minAge: 30 });
+    const resolved = await resolveSafeVersion("safe-lib", config);
+    assert.equal(resolved.version, "1.0.0");
+    assert.equal(resolved.newest, "1.1.0");
+    await assert.rejects(resolveSafeVersion("bad-lib", config), (err) => err instanceof PolicyError && err.policy === "vulnerabilities");
+    await assert.rejects(resolveSafeVersion("safe-lib@>=1.2.0", config), (err) => err instanceof PolicyError && err.policy === "minAge");
+  } finally {
+    await registry.close();
+  }
+});